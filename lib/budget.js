@@ -0,0 +1,212 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Size budget
+ *
+ * Limit the bytes of each library and the total, both raw and gzip.
+ * The dll libraries were measured by their generated module sources,
+ * minified when the profile minifies, never affected by the devtool.
+ * The CDN libraries were measured by the local copy of the CDN files,
+ * usually the minified. The exceeded ones were reported as webpack
+ * warnings, or errors by `hints: 'error'`.
+ *
+ * Examples:
+ *
+ * library: {
+ *   budget: {
+ *     package:  { gzip: 50 * 1024 },
+ *     packages: { 'react-dom': { gzip: 120 * 1024 } },
+ *     total:    { size: 1024 * 1024, gzip: 300 * 1024 },
+ *     hints:    'error'
+ *   }
+ * }
+ *
+ *
+ * Code:
+ */
+
+import fs             from 'fs-extra'
+import zlib           from 'zlib'
+import UglifyJS       from 'uglify-js'
+import { formatSize } from 'webpack/lib/SizeFormatHelpers'
+
+
+export type Limit = {
+  size?: number,
+  gzip?: number
+}
+
+export type Budget = {
+  package?:  Limit,
+  packages?: { [name: string]: Limit },
+  total?:    Limit,
+  hints?:    'warning' | 'error'
+}
+
+export type Size = {
+  size: number,
+  gzip: number
+}
+
+export type Sizes = {
+  packages: { [name: string]: Size },
+  total:    Size
+}
+
+/**
+ * Measure the contents as a whole.
+ */
+export function measure (contents: Array<Buffer>): Size {
+  const content = Buffer.concat(contents)
+  return { size: content.length, gzip: zlib.gzipSync(content).length }
+}
+
+/**
+ * Measure the compilation modules by package, the total counts all
+ * modules. The package was named after the last `node_modules`, works
+ * with the symlinked, hoisted and pnpm layouts. The runtime of loaders,
+ * like `style-loader/lib/addStyles.js`, was not a library, only counted
+ * in the total.
+ */
+export function measureModules (compilation: Object, minify: boolean): Sizes {
+  const { modules, dependencyTemplates, moduleTemplate } = compilation
+  const loaders = getLoaderPackages(modules)
+  const sources = {}
+  const all     = []
+  modules.forEach(module => {
+    if(!module.originalSource || !module.originalSource()) return
+
+    const generated = module.source(dependencyTemplates, moduleTemplate.outputOptions, moduleTemplate.requestShortener)
+    const source    = generated.source().toString()
+    const content   = Buffer.from(minify ? minifyModule(source) : source)
+    all.push(content)
+
+    const name = module.resource && getPackageName(module.resource)
+    if(name && !~loaders.indexOf(name)) sources[name] = (sources[name] || []).concat(content)
+  })
+
+  const packages = {}
+  Object.keys(sources).forEach(name => {
+    packages[name] = measure(sources[name])
+  })
+  return { packages, total: measure(all) }
+}
+
+/**
+ * Measure the files of each package.
+ */
+export function measureFiles (files: { [name: string]: Array<string> }): Promise<Sizes> {
+  const names = Object.keys(files)
+  return Promise.all(names.map(name => {
+    return Promise.all(files[name].map(filePath => fs.readFile(filePath)))
+  })).then(list => {
+    const packages = {}
+    names.forEach((name, idx) => {
+      packages[name] = measure(list[idx])
+    })
+    return { packages, total: measure([].concat(...list)) }
+  })
+}
+
+/**
+ * Merge the sizes of multiple bundles.
+ */
+export function merge (list: Array<Sizes>): Sizes {
+  const packages = {}
+  const total    = { size: 0, gzip: 0 }
+
+  list.forEach(sizes => {
+    Object.keys(sizes.packages).forEach(name => {
+      packages[name] = add(packages[name] || { size: 0, gzip: 0 }, sizes.packages[name])
+    })
+    Object.assign(total, add(total, sizes.total))
+  })
+
+  return { packages, total }
+}
+
+/**
+ * Check the sizes against the budget, get the messages of exceeded.
+ */
+export function check (budget: Budget, sizes: Sizes): Array<string> {
+  const limits   = budget.packages || {}
+  const messages = []
+
+  Object.keys(sizes.packages).sort().forEach(name => {
+    const limit = limits[name] || budget.package
+    if(!limit) return
+
+    exceed(limit, sizes.packages[name]).forEach(msg => {
+      messages.push(`package "${name}" ${msg}`)
+    })
+  })
+
+  if(budget.total) {
+    exceed(budget.total, sizes.total).forEach(msg => {
+      messages.push(`total ${msg}`)
+    })
+  }
+
+  return messages
+}
+
+function exceed (limit: Limit, size: Size): Array<string> {
+  const messages = []
+  if(limit.size != null && size.size > limit.size) {
+    messages.push(`size ${formatSize(size.size)} exceeds the budget ${formatSize(limit.size)}`)
+  }
+  if(limit.gzip != null && size.gzip > limit.gzip) {
+    messages.push(`gzip size ${formatSize(size.gzip)} exceeds the budget ${formatSize(limit.gzip)}`)
+  }
+  return messages
+}
+
+function add (a: Size, b: Size): Size {
+  return { size: a.size + b.size, gzip: a.gzip + b.gzip }
+}
+
+/**
+ * Minify the module source in the module wrapper as emitted, keep the
+ * source when the minifier can't parse it. The wrapper was passed to a
+ * call, otherwise dropped as unused.
+ */
+function minifyModule (source: string): string {
+  const wrapped = `f(function(module,exports,__webpack_require__){${source}\n});`
+
+  try {
+    const code = UglifyJS.minify(wrapped, { fromString: true, output: { max_line_len: false } }).code
+    return code.slice('f('.length, -');'.length)
+  } catch(err) {
+    return source
+  }
+}
+
+/**
+ * Get the package names of the loaders used by modules.
+ */
+function getLoaderPackages (modules: Array<Object>): Array<string> {
+  const names = []
+  modules.forEach(module => {
+    (module.loaders || []).forEach(({ loader }) => {
+      const name = getPackageName(loader)
+      if(name && !~names.indexOf(name)) names.push(name)
+    })
+  })
+
+  return names
+}
+
+/**
+ * Get the package name of module resource, like `@scope/name`.
+ */
+export function getPackageName (resource: string): ?string {
+  const parts = resource.split(/[\\/]/)
+  const idx   = parts.lastIndexOf('node_modules')
+  const name  = ~idx ? parts[idx + 1] : null
+  if(!name) return null
+
+  if(name[0] !== '@') return name
+  return parts[idx + 2] ? `${name}/${parts[idx + 2]}` : null
+}
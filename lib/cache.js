@@ -0,0 +1,81 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * CDN resolution cache
+ *
+ * Persist the resolved `[name, exportName, url]` tuples to dll cache
+ * directory with the CDN resolution, keyed by package name, the
+ * exact installed version and the provider, switch CDN never reuse
+ * the urls of previous provider.
+ * The entries expired after `ttl` milliseconds.
+ *
+ *
+ * Code:
+ */
+
+import fs from 'fs-extra'
+import type { Resolution } from './cdn'
+
+
+export type LibTuple = [ string, ?string, ?string ]
+
+export type CacheEntry = {
+  tuple:       LibTuple,
+  resolution?: Resolution,
+  timestamp:   number
+}
+
+export type ResolutionCache = {
+  [key: string]: CacheEntry
+}
+
+/**
+ * Read cache file, returns empty when not exists or broken.
+ */
+export function readCache (cachePath: string): Promise<ResolutionCache> {
+  return fs.readFile(cachePath)
+    .then(content => JSON.parse(content))
+    .catch(err => ({}))
+}
+
+/**
+ * Write cache file, drop the expired entries.
+ */
+export function writeCache (cachePath: string, cache: ResolutionCache, ttl: number): Promise<*> {
+  const now   = Date.now()
+  const fresh = {}
+  Object.keys(cache).forEach(key => {
+    if(now - cache[key].timestamp < ttl) fresh[key] = cache[key]
+  })
+
+  return fs.outputFile(cachePath, JSON.stringify(fresh))
+}
+
+/**
+ * Get the cached entry, returns null when missed or expired.
+ */
+export function lookup (cache: ResolutionCache, name: string, version: string, provider: string, ttl: number): ?CacheEntry {
+  const entry = cache[key(name, version, provider)]
+  if(!entry || Date.now() - entry.timestamp >= ttl) return null
+
+  return entry
+}
+
+/**
+ * Put the resolved tuple and the CDN resolution to cache.
+ */
+export function store (cache: ResolutionCache, name: string, version: string, provider: string, tuple: LibTuple, resolution: ?Resolution): void {
+  const entry: CacheEntry = {
+    tuple,
+    timestamp: Date.now()
+  }
+  if(resolution) entry.resolution = resolution
+
+  cache[key(name, version, provider)] = entry
+}
+
+function key (name: string, version: string, provider: string): string {
+  return `${name}@${version} ${provider}`
+}
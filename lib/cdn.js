@@ -0,0 +1,211 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * CDN providers
+ *
+ * Map a installed library file to the CDN url. Ships with unpkg.com,
+ * jsdelivr.net and cdnjs.com, any other CDN or a local stand-in server
+ * can be used via url template or function.
+ *
+ * Examples:
+ *
+ * library: {
+ *   cdn: 'jsdelivr'
+ * }
+ *
+ * library: {
+ *   cdn: {
+ *     provider: 'https://cdn.corp/{name}@{version}/{file}',
+ *     packages: {
+ *       jquery: 'cdnjs'
+ *     }
+ *   }
+ * }
+ *
+ * The resolved urls can be pinned to a manifest file, then resolve
+ * without network at offline mode:
+ *
+ * library: {
+ *   offline:  true,
+ *   manifest: 'cdn-manifest.json'
+ * }
+ *
+ *
+ * Code:
+ */
+
+import fs      from 'fs-extra'
+import path    from 'path'
+import request from 'request'
+
+
+export type Library = {
+  name:    string,
+  version: string,
+  file:    string
+}
+
+export type Provider = (lib: Library) => string
+
+export type ProviderSpec = string | Provider
+
+export type CDNOptions = ProviderSpec | {
+  provider?: ProviderSpec,
+  packages?: { [name: string]: ProviderSpec }
+}
+
+export type Resolution = {
+  version:    string,
+  url:        string,
+  file?:      string,
+  integrity?: string
+}
+
+export type Manifest = {
+  [name: string]: Resolution
+}
+
+export const DefaultProvider = 'unpkg'
+
+// The CDN didn't respond in time was unreachable.
+const PingTimeout = 10 * 1000
+
+export const providers: { [name: string]: Provider } = {
+  unpkg:    template('https://unpkg.com/{name}@{version}/{file}'),
+  jsdelivr: template('https://cdn.jsdelivr.net/npm/{name}@{version}/{file}'),
+  // cdnjs.com flatten the files, only keep the basename.
+  cdnjs:    lib => template('https://cdnjs.cloudflare.com/ajax/libs/{name}/{version}/{file}')({
+    name:    lib.name,
+    version: lib.version,
+    file:    path.posix.basename(lib.file)
+  })
+}
+
+/**
+ * Add provider to registry, can be used by name in `library.cdn`.
+ */
+export function registerProvider (name: string, provider: ProviderSpec): void {
+  providers[name] = toProvider(provider)
+}
+
+/**
+ * Make provider from url template, the `{name}`, `{version}`
+ * and `{file}` will be replaced.
+ */
+export function template (str: string): Provider {
+  return function (lib: Library): string {
+    return str.replace(/\{(name|version|file)\}/g, (_, key) => lib[key])
+  }
+}
+
+/**
+ * Get provider for library from `library.cdn`.
+ */
+export function getProvider (cdn: ?CDNOptions, libname: string): Provider {
+  if(!cdn) return providers[DefaultProvider]
+  if(typeof cdn === 'string' || typeof cdn === 'function') return toProvider(cdn)
+
+  const packages = cdn.packages || {}
+  if(packages[libname]) return toProvider(packages[libname])
+
+  return toProvider(cdn.provider || DefaultProvider)
+}
+
+/**
+ * Identify the provider of library, the url of a placeholder file.
+ */
+export function getProviderKey (cdn: ?CDNOptions, libname: string, version: string): string {
+  return getProvider(cdn, libname)({ name: libname, version, file: '{file}' })
+}
+
+function toProvider (spec: ProviderSpec): Provider {
+  if(typeof spec === 'function') return spec
+  if(providers[spec]) return providers[spec]
+  if(~spec.indexOf('{')) return template(spec)
+
+  throw new Error(`Unknown CDN provider "${spec}"`)
+}
+
+/**
+ * Get the CDN file from package.json fields, like `unpkg` and `jsdelivr`.
+ */
+export function getPackageFile (pkg: Object, fields: Array<string>): ?string {
+  for(let i = 0; i < fields.length; i++) {
+    const file = pkg[fields[i]]
+    if(typeof file === 'string') return file.replace(/^\.\//, '')
+  }
+
+  return null
+}
+
+/**
+ * Read pinned resolutions, returns empty when the manifest not exists.
+ */
+export function readManifest (manifestPath: string): Promise<Manifest> {
+  return fs.readFile(manifestPath)
+    .then(content => JSON.parse(content))
+    .catch(err => {
+      if(err.code === 'ENOENT') return {}
+      throw new Error(`Can't parse CDN manifest ${manifestPath}`)
+    })
+}
+
+/**
+ * Write pinned resolutions, sort by name to keep stable diff.
+ */
+export function writeManifest (manifestPath: string, manifest: Manifest): Promise<*> {
+  const sorted = {}
+  Object.keys(manifest).sort().forEach(name => {
+    sorted[name] = manifest[name]
+  })
+
+  return fs.writeFile(manifestPath, JSON.stringify(sorted, null, 2) + '\n')
+}
+
+/**
+ * Request the url, resolve the final href or null when unreachable.
+ * The network error and timeout also resolve null, the library falls
+ * back to vendor bundle instead of failing the build. The network
+ * drops packets silently never errors, wait at most `timeout`.
+ */
+export function ping (url: string, timeout: number = PingTimeout): Promise<?string> {
+  return new Promise(function (resolve, reject) {
+    request({ method: 'HEAD', uri: url, timeout }, (err, res) => {
+      if(err) {
+        resolve(null)
+        return
+      }
+
+      // Can't find files from CDN server.
+      if(res.statusCode !== 200) {
+        resolve(null)
+        return
+      }
+
+      resolve(res.request.uri.href)
+    })
+  })
+}
+
+/**
+ * Check all urls of manifest are still reachable.
+ */
+export function verify (manifestPath: string): Promise<Manifest> {
+  return readManifest(manifestPath).then(manifest => {
+    const names = Object.keys(manifest)
+
+    return Promise.all(names.map(name => {
+      return ping(manifest[name].url)
+    })).then(hrefs => {
+      const unreachable = names.filter((name, idx) => !hrefs[idx])
+      if(unreachable.length) {
+        const list = unreachable.map(name => `  ${name}: ${manifest[name].url}`)
+        throw new Error(`CDN manifest has unreachable urls:\n${list.join('\n')}`)
+      }
+
+      return manifest
+    })
+  })
+}
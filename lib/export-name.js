@@ -0,0 +1,123 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Export name
+ *
+ * Detect the global name that library exported, used as webpack
+ * externals. Try in order:
+ *
+ * 1. Run the UMD file in JSDOM, pick the new global of window.
+ * 2. The known name of popular libraries.
+ * 3. The camel case of package name, only when the UMD file can't run
+ *    without other libraries. The CommonJS file or the script exports
+ *    nothing has no global, the library goes to vendor bundle.
+ *
+ * The explicit `library.globals` always override the detected name.
+ *
+ *
+ * Code:
+ */
+
+import { camelCase, omit } from 'lodash'
+import fs                  from 'fs-extra'
+import vm                  from 'vm'
+import { JSDOM }           from 'jsdom'
+
+
+export const KnownNames: { [name: string]: string } = {
+  'jquery':           'jQuery',
+  'react':            'React',
+  'react-dom':        'ReactDOM',
+  'react-router':     'ReactRouter',
+  'react-router-dom': 'ReactRouterDOM',
+  'react-redux':      'ReactRedux',
+  'redux':            'Redux',
+  'prop-types':       'PropTypes',
+  'vue':              'Vue',
+  'vue-router':       'VueRouter',
+  'vuex':             'Vuex',
+  'lodash':           '_',
+  'underscore':       '_',
+  'immutable':        'Immutable',
+  'moment':           'moment',
+  'axios':            'axios',
+  'three':            'THREE',
+  'chart.js':         'Chart',
+  // jQuery plugin has no export, import it get jQuery.
+  'bootstrap':        'jQuery'
+}
+
+// The plugins share the global of the library they extend, the local
+// fallback checks the member they added instead.
+export const KnownGuards: { [name: string]: string } = {
+  'bootstrap': 'jQuery.fn.modal'
+}
+
+/**
+ * Get library global export name.
+ */
+export function getExportName (name: string, filePath: ?string, globals: { [name: string]: string }): Promise<?string> {
+  if(globals[name]) return Promise.resolve(globals[name])
+
+  return runScript(filePath).then(keys => {
+    if(keys && keys.length === 1) return keys[0]
+    if(keys && keys.length > 1) return pick(name, keys)
+
+    // Nothing exported, maybe a plugin like bootstrap.
+    if(KnownNames[name]) return KnownNames[name]
+
+    // Guess only when the script failed for other libraries missing.
+    return keys ? null : camelCase(name)
+  })
+}
+
+/**
+ * Run script in JSDOM, returns the new globals of window, or null when
+ * the script can't run without other libraries.
+ */
+function runScript (filePath: ?string): Promise<?Array<string>> {
+  if(!filePath) return Promise.resolve([])
+
+  return fs.readFile(filePath).then(content => {
+    const dom   = new JSDOM('', { runScripts: 'outside-only' })
+    const cache = Object.keys(dom.window)
+
+    try {
+      dom.runVMScript(new vm.Script(content.toString(), { filename: filePath }))
+    } catch(err) {
+      // The module file never set global.
+      if(isModuleError(err)) return []
+      return null
+    }
+
+    return Object.keys(omit(dom.window, cache))
+  }, err => [])
+}
+
+/**
+ * The ES module syntax, or CommonJS needs module system. The error was
+ * thrown from other realm, check by name.
+ */
+function isModuleError (err: any): boolean {
+  if(!err) return false
+  if(err.name === 'SyntaxError') return true
+
+  return err.name === 'ReferenceError'
+    && /\b(module|exports|require) is not defined/.test(String(err.message))
+}
+
+/**
+ * Pick from multiple globals, like jQuery set `$` and `jQuery`.
+ */
+function pick (name: string, keys: Array<string>): string {
+  const known = KnownNames[name]
+  if(known && ~keys.indexOf(known)) return known
+
+  const lower = camelCase(name).toLowerCase()
+  const match = keys.filter(key => key.toLowerCase() === lower)
+  if(match.length) return match[0]
+
+  return keys[0]
+}
@@ -0,0 +1,93 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Local fallback
+ *
+ * The CDN may unreachable for users, add a guard after each CDN
+ * `<script>` tag, check the library global export, load the self-hosted
+ * copy from webpack output directory when it's missing.
+ *
+ * <script src="https://unpkg.com/jquery@3.2.1/dist/jquery.min.js"></script>
+ * <script>window["$"] || document.write('<script src="fallback/jquery/jquery.min.js"><\/script>')</script>
+ *
+ * The guard is a property path from window, the plugins like bootstrap
+ * check the member they added, like `jQuery.fn.modal`.
+ *
+ *
+ * Code:
+ */
+
+import fs   from 'fs-extra'
+import path from 'path'
+
+
+export type Fallback = {
+  guard:      string,
+  filePath:   string,
+  assetName:  string
+}
+
+/**
+ * Get the output asset name of the local copy.
+ */
+export function getAssetName (directoryName: string, libname: string, filePath: string): string {
+  return [directoryName, libname, path.basename(filePath)].join('/')
+}
+
+/**
+ * Emit the local copies to webpack output directory.
+ */
+export function emitFallbacks (compilation: Object, fallbacks: Array<Fallback>): Promise<*> {
+  return Promise.all(fallbacks.map(fallback => {
+    return fs.readFile(fallback.filePath).then(content => {
+      compilation.assets[fallback.assetName] = {
+        source: () => content,
+        size:   () => content.length
+      }
+    })
+  }))
+}
+
+/**
+ * Insert guard tag after each CDN script tag of html-webpack-plugin.
+ */
+export function applyFallback (tags: Array<Object>, fallbacks: { [url: string]: Fallback }, publicPath: string): void {
+  for(let i = tags.length - 1; i >= 0; i--) {
+    const tag = tags[i]
+    if(tag.tagName !== 'script' || !tag.attributes) continue
+
+    const fallback = fallbacks[tag.attributes.src]
+    if(!fallback) continue
+
+    tags.splice(i + 1, 0, makeGuardTag(fallback, publicPath))
+  }
+}
+
+function makeGuardTag (fallback: Fallback, publicPath: string): Object {
+  const global = toCheck(fallback.guard)
+  const src    = JSON.stringify(publicPath + fallback.assetName)
+  // Escape the close tag, it's inside inline script.
+  const script = JSON.stringify(`<script type="text/javascript" src=${src}></script>`)
+    .replace(/<\/script>/g, '<\\/script>')
+
+  return {
+    tagName:    'script',
+    closeTag:   true,
+    attributes: { type: 'text/javascript' },
+    innerHTML:  `${global} || document.write(${script})`
+  }
+}
+
+/**
+ * Check each level of property path, like
+ * `window["jQuery"] && window["jQuery"]["fn"]`.
+ */
+function toCheck (guard: string): string {
+  let expr = 'window'
+  return guard.split('.').map(key => {
+    expr = `${expr}[${JSON.stringify(key)}]`
+    return expr
+  }).join(' && ')
+}
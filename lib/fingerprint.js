@@ -0,0 +1,82 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * DLL fingerprint
+ *
+ * Decide whether a dll bundle is stale. The installed versions were
+ * read from `node_modules/<name>/package.json`, so `yarn upgrade` in
+ * the same semver range also rebuild the dll. The build config, like
+ * loaders and webpack version, was hashed into a key.
+ *
+ *
+ * Code:
+ */
+
+import crypto from 'crypto'
+import fs     from 'fs-extra'
+import path   from 'path'
+
+
+export type Versions = {
+  [name: string]: ?string
+}
+
+export type Fingerprint = {
+  versions: Versions,
+  key:      string
+}
+
+/**
+ * Read installed versions of the libraries, null when not installed.
+ */
+export function readVersions (base: string, libs: Array<string>): Promise<Versions> {
+  return Promise.all(libs.map(libname => {
+    const libraryPkgPath = path.resolve(base, 'node_modules', libname, 'package.json')
+
+    return fs.readFile(libraryPkgPath)
+      .then(content => JSON.parse(content).version || null)
+      .catch(err => null)
+  })).then(list => {
+    const versions = {}
+    libs.forEach((libname, idx) => {
+      versions[libname] = list[idx]
+    })
+    return versions
+  })
+}
+
+/**
+ * Hash the build config, the RegExp and function in loader rules
+ * were compared by their source.
+ */
+export function getKey (config: Object): string {
+  return crypto.createHash('md5').update(serialize(config)).digest('hex')
+}
+
+function serialize (value: mixed, seen: Array<mixed> = []): string {
+  if(value instanceof RegExp || typeof value === 'function') {
+    return JSON.stringify(String(value))
+  }
+
+  // The plugin instances maybe circular.
+  if(value && typeof value === 'object' && ~seen.indexOf(value)) {
+    return '"[Circular]"'
+  }
+
+  if(Array.isArray(value)) {
+    const arr = value
+    return `[${arr.map(item => serialize(item, seen.concat([ arr ]))).join(',')}]`
+  }
+
+  if(value && typeof value === 'object') {
+    const obj = value
+    const pairs = Object.keys(obj).sort().map(key => {
+      return `${JSON.stringify(key)}:${serialize(obj[key], seen.concat([ obj ]))}`
+    })
+    return `{${pairs.join(',')}}`
+  }
+
+  return JSON.stringify(value) || 'null'
+}
@@ -0,0 +1,46 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Subresource Integrity
+ *
+ * Hash the local library file, the CDN serve the same file at the
+ * same version. Then add `integrity` and `crossorigin` attributes to
+ * the CDN `<script>` and `<link>` tags via html-webpack-plugin.
+ *
+ *
+ * Code:
+ */
+
+import crypto from 'crypto'
+import fs     from 'fs-extra'
+
+
+export const Algorithm = 'sha384'
+
+/**
+ * Get integrity of the file, like `sha384-…`.
+ */
+export function getIntegrity (filePath: string): Promise<string> {
+  return fs.readFile(filePath).then(content => {
+    const hash = crypto.createHash(Algorithm).update(content).digest('base64')
+    return `${Algorithm}-${hash}`
+  })
+}
+
+/**
+ * Add integrity attributes to html-webpack-plugin tags.
+ */
+export function applyIntegrity (tags: Array<Object>, integrities: { [url: string]: string }): void {
+  tags.forEach(tag => {
+    if(!tag.attributes) return
+
+    const url = tag.tagName === 'link' ? tag.attributes.href : tag.attributes.src
+    const integrity = integrities[url]
+    if(!integrity) return
+
+    tag.attributes.integrity   = integrity
+    tag.attributes.crossorigin = 'anonymous'
+  })
+}
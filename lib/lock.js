@@ -0,0 +1,162 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Build lock
+ *
+ * Only one process builds the dll bundles in the same dll directory,
+ * like two dev servers or a dev server with jest started together.
+ * The others wait for the lock then reuse the built dll.
+ *
+ * The lock was stale when the owner process was gone, or the lock
+ * file was not touched for a long time. The waiters may see the same
+ * stale lock, only the one moved it away takes over.
+ *
+ *
+ * Code:
+ */
+
+import crypto from 'crypto'
+import fs     from 'fs-extra'
+import os     from 'os'
+import path   from 'path'
+
+
+type Owner = {
+  pid:      number,
+  hostname: string,
+  token:    string
+}
+
+type LockFile = {
+  content: string,
+  mtime:   number,
+  owner:   ?Owner
+}
+
+export const StaleTime     = 10 * 60 * 1000
+export const RetryInterval = 200
+
+/**
+ * Run the task with lock, the lock always released after task done.
+ */
+export function withLock (lockPath: string, task: () => Promise<*>, onWait?: () => void): Promise<*> {
+  return lock(lockPath, onWait).then(unlock => {
+    return Promise.resolve().then(task).then(result => {
+      return unlock().then(() => result)
+    }, err => {
+      return unlock().then(() => { throw err })
+    })
+  })
+}
+
+/**
+ * Acquire the lock, wait until the other process released it. Resolve
+ * the unlock function.
+ */
+export function lock (lockPath: string, onWait?: () => void): Promise<() => Promise<*>> {
+  const owner: Owner = { pid: process.pid, hostname: os.hostname(), token: getToken() }
+  let waiting = false
+
+  return fs.ensureDir(path.dirname(lockPath)).then(attempt)
+
+  function attempt () {
+    return fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' }).then(() => {
+      // Release the lock when process exit before unlock.
+      const cleanup = () => {
+        try {
+          fs.removeSync(lockPath)
+        } catch(err) {}
+      }
+      process.on('exit', cleanup)
+
+      // Keep the lock fresh while building.
+      const timer: any = setInterval(() => {
+        const now = Date.now() / 1000
+        fs.utimes(lockPath, now, now).catch(err => null)
+      }, StaleTime / 2)
+      timer.unref()
+
+      return function unlock () {
+        clearInterval(timer)
+        process.removeListener('exit', cleanup)
+        return fs.remove(lockPath)
+      }
+    }, err => {
+      if(err.code !== 'EEXIST') throw err
+
+      return readLock(lockPath).then(other => {
+        if(other && isStale(other)) return takeover(lockPath, other).then(attempt)
+
+        if(!waiting && onWait) onWait()
+        waiting = true
+        return delay(RetryInterval).then(attempt)
+      })
+    })
+  }
+}
+
+/**
+ * Read the lock file, null when released by the owner right now.
+ */
+function readLock (lockPath: string): Promise<?LockFile> {
+  return Promise.all([
+    fs.stat(lockPath),
+    fs.readFile(lockPath, 'utf8')
+  ]).then(([ stat, content ]) => {
+    let owner = null
+    try {
+      owner = JSON.parse(content)
+    } catch(err) {}
+
+    return { content, mtime: stat.mtime.getTime(), owner }
+  }, err => null)
+}
+
+/**
+ * Check the lock was left by a dead process or too old.
+ */
+function isStale (other: LockFile): boolean {
+  const owner = other.owner
+  if(Date.now() - other.mtime > StaleTime) return true
+  if(!owner || owner.hostname !== os.hostname()) return false
+
+  return !isAlive(owner.pid)
+}
+
+/**
+ * Take over the stale lock. Rename is atomic, only one waiter moves
+ * it away. The moved maybe a fresh lock acquired by other waiter after
+ * the stale one removed, put it back then.
+ */
+function takeover (lockPath: string, stale: LockFile): Promise<*> {
+  const movedPath = `${lockPath}.${getToken()}.stale`
+
+  return fs.rename(lockPath, movedPath).then(() => readLock(movedPath)).then(moved => {
+    if(moved && moved.content === stale.content && moved.mtime === stale.mtime) return fs.remove(movedPath)
+
+    // The link never overwrites, the lock acquired meanwhile wins.
+    return fs.link(movedPath, lockPath).catch(err => null).then(() => fs.remove(movedPath))
+  }, err => {
+    // Moved by other waiter.
+    if(err.code !== 'ENOENT') throw err
+  })
+}
+
+function getToken (): string {
+  return `${process.pid}-${crypto.randomBytes(6).toString('hex')}`
+}
+
+function isAlive (pid: number): boolean {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch(err) {
+    return err.code === 'EPERM'
+  }
+}
+
+function delay (ms: number): Promise<*> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
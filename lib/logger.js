@@ -0,0 +1,113 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Logger
+ *
+ * Print the plugin messages by level, the messages under `log` level
+ * were dropped. The `log: true` means `info`, `log: false` and
+ * `log: 'none'` mean `silent`.
+ *
+ * Examples:
+ *
+ * library: {
+ *   log:    'verbose',
+ *   logger: (level, message) => myLogger[level](message)
+ * }
+ *
+ * At webpack has `compiler.getInfrastructureLogger`, the messages go
+ * to webpack infrastructure logger when no custom logger.
+ *
+ *
+ * Code:
+ */
+
+export type Level = 'silent' | 'error' | 'warn' | 'info' | 'verbose' | 'debug'
+
+export type LogOption = boolean | Level | 'none'
+
+export type LogFunction = (level: Level, message: string) => void
+
+export const Levels: { [level: Level]: number } = {
+  silent:  0,
+  error:   1,
+  warn:    2,
+  info:    3,
+  verbose: 4,
+  debug:   5
+}
+
+const Prefix = 'LibraryPlugin'
+
+export default class Logger {
+  level:          Level
+  custom:         ?LogFunction
+  infrastructure: ?Object = null
+
+  constructor (log: LogOption, custom?: ?LogFunction) {
+    this.level  = toLevel(log)
+    this.custom = custom
+  }
+
+  /**
+   * Use webpack infrastructure logger, only webpack provided it.
+   */
+  attach (compiler: Object): void {
+    if(typeof compiler.getInfrastructureLogger !== 'function') return
+    this.infrastructure = compiler.getInfrastructureLogger(Prefix)
+  }
+
+  enabled (level: Level): boolean {
+    return Levels[level] <= Levels[this.level] && level !== 'silent'
+  }
+
+  log (level: Level, message: string): void {
+    if(!this.enabled(level)) return
+
+    if(this.custom) {
+      this.custom(level, message)
+      return
+    }
+
+    const infrastructure = this.infrastructure
+    if(infrastructure) {
+      const method = level === 'verbose' ? 'log' : level
+      infrastructure[method](message)
+      return
+    }
+
+    const text = `\n${Prefix} ${message}\n`
+    if(level === 'error') console.error(text)
+    else if(level === 'warn') console.warn(text)
+    else console.log(text)
+  }
+
+  error (message: string): void {
+    this.log('error', message)
+  }
+
+  warn (message: string): void {
+    this.log('warn', message)
+  }
+
+  info (message: string): void {
+    this.log('info', message)
+  }
+
+  verbose (message: string): void {
+    this.log('verbose', message)
+  }
+
+  debug (message: string): void {
+    this.log('debug', message)
+  }
+}
+
+function toLevel (log: LogOption): Level {
+  if(log === true) return 'info'
+  if(log === false || log === 'none') return 'silent'
+  if(Levels[log] === undefined) throw new Error(`Unknown log level "${String(log)}"`)
+
+  return log
+}
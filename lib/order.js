@@ -0,0 +1,103 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Library order
+ *
+ * The CDN scripts must load after their dependencies, like bootstrap
+ * need jQuery. Read `peerDependencies` and `dependencies` of each
+ * library, make a graph then sort in topological order.
+ *
+ * Not all the libraries declare what they extend, bootstrap 3 has no
+ * dependencies at all. The globals link them too, the library uses the
+ * global of other library loads after it.
+ *
+ *
+ * Code:
+ */
+
+import fs   from 'fs-extra'
+import path from 'path'
+
+
+export type Graph = { [name: string]: Array<string> }
+
+/**
+ * Read the dependencies between libraries, the others are ignored.
+ */
+export function readGraph (base: string, names: Array<string>): Promise<Graph> {
+  return Promise.all(names.map(name => {
+    const libraryPkgPath = path.resolve(base, 'node_modules', name, 'package.json')
+
+    return fs.readFile(libraryPkgPath).then(content => {
+      const pkg  = JSON.parse(content)
+      const deps = Object.keys(Object.assign({}, pkg.dependencies, pkg.peerDependencies))
+      return deps.filter(dep => dep !== name && ~names.indexOf(dep))
+    }, err => [])
+  })).then(edges => {
+    const graph = {}
+    names.forEach((name, idx) => {
+      graph[name] = edges[idx]
+    })
+
+    return graph
+  })
+}
+
+/**
+ * Link the libraries share a global to the owner, the first library
+ * exports the global without a guard of its own. The guarded library
+ * uses the global of the guard, like bootstrap extends `jQuery.fn`.
+ */
+export function linkGlobals (
+  graph: Graph,
+  globals: { [name: string]: ?string },
+  guards: { [name: string]: string }
+): Graph {
+  const names  = Object.keys(graph)
+  const owners = {}
+  names.forEach(name => {
+    const global = globals[name]
+    if(global && !guards[name] && !owners[global]) owners[global] = name
+  })
+
+  const linked = {}
+  names.forEach(name => {
+    const global = guards[name] ? guards[name].split('.')[0] : globals[name]
+    const owner  = global ? owners[global] : null
+    const deps   = graph[name]
+
+    linked[name] = owner && owner !== name && !~deps.indexOf(owner) ? deps.concat(owner) : deps
+  })
+
+  return linked
+}
+
+/**
+ * Sort names in topological order, keep the original order when no
+ * dependencies. Throw error on circular dependencies.
+ */
+export function sort (names: Array<string>, graph: Graph): Array<string> {
+  const sorted   = []
+  const visiting = []
+
+  names.forEach(visit)
+  return sorted
+
+  function visit (name: string): void {
+    if(~sorted.indexOf(name)) return
+
+    if(~visiting.indexOf(name)) {
+      const cycle = visiting.slice(visiting.indexOf(name)).concat(name)
+      throw new Error(`Circular dependencies between libraries: ${cycle.join(' -> ')}`)
+    }
+
+    const deps = graph[name] || []
+    visiting.push(name)
+    deps.forEach(visit)
+    visiting.pop()
+
+    sorted.push(name)
+  }
+}
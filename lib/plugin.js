@@ -0,0 +1,1371 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * ResolveLibraryPlugin
+ *
+ * The webpack plugin, build dll bundle at development and map the
+ * libraries to CDN at production. Works with any config wrapper.
+ *
+ * Examples:
+ *
+ * const { ResolveLibraryPlugin } = require('rabbit-webpack-resolve-library-plugin')
+ *
+ * module.exports = {
+ *   //... webpack options
+ *   plugins: [
+ *     new ResolveLibraryPlugin({
+ *       //... options
+ *     })
+ *   ]
+ * }
+ *
+ * Split the rarely changed libraries to their own dll, the rest go to
+ * the `dllName` dll, each dll can use the modules of dlls before it:
+ *
+ * new ResolveLibraryPlugin({
+ *   dlls: {
+ *     react: [ 'react', 'react-dom' ],
+ *     ui:    [ 'antd' ]
+ *   }
+ * })
+ *
+ * The dll config inherits `resolve`, `resolveLoader` and the plugins
+ * like DefinePlugin from app config, extends it by object or function:
+ *
+ * new ResolveLibraryPlugin({
+ *   dllConfig: (defaultConfig, userConfig) => defaultConfig
+ * })
+ *
+ * The dll was built by profile of the environment, the production
+ * profile minifies it, each profile has own cache directory. Use the
+ * production dll instead of CDN:
+ *
+ * new ResolveLibraryPlugin({
+ *   dllProfile: 'production',
+ *   useDll:     true
+ * })
+ *
+ * The `dllDevtool` overrides the devtool of profile, a separate source
+ * map like `source-map` was written next to the dll, served by dev
+ * server and emitted along with the dll:
+ *
+ * new ResolveLibraryPlugin({
+ *   dllDevtool: 'source-map'
+ * })
+ *
+ * The stats of dll build were written to `dll-stats.json` in the dll
+ * directory, and passed to `onDllBuilt` after each build:
+ *
+ * new ResolveLibraryPlugin({
+ *   onDllBuilt: (stats, name) => console.log(name, stats.hash)
+ * })
+ *
+ * Limit the bytes of libraries in dll or on CDN, see './budget':
+ *
+ * new ResolveLibraryPlugin({
+ *   budget: { package: { gzip: 50 * 1024 }, total: { gzip: 300 * 1024 } }
+ * })
+ *
+ *
+ * Code:
+ */
+
+import { isEqual, isPlainObject, mergeWith, sortBy } from 'lodash'
+import fs                                            from 'fs-extra'
+import glob                                          from 'glob'
+import path                                          from 'path'
+import webpack                                       from 'webpack'
+import DynamicEntryPlugin                            from 'webpack/lib/DynamicEntryPlugin'
+
+import {
+  getProvider,
+  getProviderKey,
+  getPackageFile,
+  readManifest,
+  writeManifest,
+  ping
+} from './cdn'
+import {
+  measureModules,
+  measureFiles,
+  merge,
+  check
+} from './budget'
+import { readCache, writeCache, lookup, store }       from './cache'
+import { getIntegrity, applyIntegrity }               from './integrity'
+import { getAssetName, emitFallbacks, applyFallback } from './fallback'
+import { getStyleFile, isStyleOnly, getMinifiedFile } from './style'
+import { getExportName, KnownGuards }                 from './export-name'
+import { readGraph, linkGlobals, sort }               from './order'
+import { readVersions, getKey }                       from './fingerprint'
+import { withLock }                                   from './lock'
+import DllReferences                                  from './reference'
+import Logger                                         from './logger'
+import validate                                       from './validate'
+import { getProfile }                                 from './profiles'
+import type { CDNOptions, Manifest, Resolution }      from './cdn'
+import type { LibTuple, ResolutionCache }             from './cache'
+import type { Fallback }                              from './fallback'
+import type { Fingerprint }                           from './fingerprint'
+import type { LogOption, LogFunction }                from './logger'
+import type { ProfileName }                           from './profiles'
+import type { Budget, Sizes }                         from './budget'
+
+
+export type Options = {
+  base:                  string,
+  dllDirectoryName:      string,
+  dllName:               string,
+  dlls:                  ?{ [name: string]: Array<string> },
+  dllFilename:           string,
+  include:               Array<string>,
+  exclude:               Array<string>,
+  module:                ?Object,
+  dllConfig:             ?(Object | (defaultConfig: Object, userConfig: Object) => Object),
+  dllProfile:            ?ProfileName,
+  dllDevtool:            ?(string | false),
+  useDll:                ?boolean,
+  cdn:                   CDNOptions,
+  offline:               boolean,
+  manifest:              ?string,
+  cacheTTL:              number,
+  integrity:             boolean,
+  fallback:              boolean,
+  fallbackDirectoryName: string,
+  globals:               { [name: string]: string },
+  log:                   LogOption,
+  logger:                ?LogFunction,
+  onDllBuilt:            ?(stats: Object, name: string) => void,
+  budget:                ?Budget
+}
+
+type LibStyle = {
+  name:      string,
+  request:   string,
+  styleOnly: boolean,
+  url:       string
+}
+
+type Dll = {
+  name:        string,
+  libs:        Array<string>,
+  fingerprint: Fingerprint
+}
+
+type Built = {
+  file:  string,
+  stats: Object,
+  json:  Object,
+  sizes: Sizes
+}
+
+type Resolved = {
+  externals:   { [name: string]: string },
+  libraryTags: Array<string>,
+  libStyles:   Array<LibStyle>,
+  unResolved:  Array<string>,
+  integrities: { [url: string]: string },
+  fallbacks:   { [url: string]: Fallback },
+  sizes:       ?Sizes,
+  errors:      Array<Error>
+}
+
+// Plugins inherited from app config by dll config.
+const InheritedPlugins = [
+  'DefinePlugin',
+  'ProvidePlugin',
+  'IgnorePlugin',
+  'ContextReplacementPlugin',
+  'NormalModuleReplacementPlugin'
+]
+
+// Prefix of the temporary build directory in dll directory.
+const TmpPrefix = '.tmp-'
+
+// Default options
+export const DefaultOptions: Options = {
+  base:                  path.resolve('.'),
+  dllDirectoryName:      '.dll-cache',
+  dllName:               'vendor',
+  dlls:                  null,
+  dllFilename:           '[name].[chunkhash].js',
+  include:               [],
+  exclude:               [],
+  module:                null,
+  dllConfig:             null,
+  dllProfile:            null,
+  dllDevtool:            null,
+  useDll:                null,
+  cdn:                   'unpkg',
+  offline:               false,
+  manifest:              null,
+  cacheTTL:              7 * 24 * 60 * 60 * 1000,
+  integrity:             true,
+  fallback:              true,
+  fallbackDirectoryName: 'fallback',
+  globals:               {},
+  log:                   true,
+  logger:                null,
+  onDllBuilt:            null,
+  budget:                null
+}
+
+export default class ResolveLibraryPlugin {
+  options:         Options
+  logger:          Logger
+  base:            string
+  development:     boolean
+  useDll:          boolean
+  profile:         ProfileName
+  dllRoot:         string
+  dllDirectory:    string
+  dllCachePath:    string
+  dllAssetsPath:   string
+  dllStatsPath:    string
+  dllSizesPath:    string
+  dllLockPath:     string
+  cdnCachePath:    string
+  pkgJsonPath:     string
+  cdnManifestPath: ?string
+
+  // Pinned CDN resolutions, read from manifest before resolve.
+  cdnManifest: Manifest = {}
+
+  // Resolved library tuples of previous builds.
+  cdnCache: ResolutionCache = {}
+
+  // Resolved library stylesheets.
+  libStyles: Array<LibStyle> = []
+
+  // Why the library can't resolve from CDN.
+  reasons: { [name: string]: string } = {}
+
+  // The app webpack config, dll config inherits from it.
+  userConfig: Object = {}
+
+  // Built dll bundles, by the build order.
+  dlls: Array<Dll> = []
+
+  // Sizes of the built dll bundles, checked against the budget.
+  dllSizes: ?Sizes = null
+
+  // Production resolve only run once.
+  resolving: ?Promise<Resolved> = null
+
+  constructor (options?: Object) {
+    // Report the typo and wrong options before any build starts.
+    validate(options)
+
+    this.options = Object.assign({}, DefaultOptions, options)
+    this.logger  = new Logger(this.options.log, this.options.logger)
+
+    // Ensure the options.base be a absolute path.
+    let base = this.options.base
+    if(!path.isAbsolute(base)) base = path.resolve(base)
+    this.base = base
+
+    // Test environment.
+    const env        = process.env.NODE_ENV
+    this.development = !env || env === 'development'
+
+    // Use dll at development, CDN at production by default. The dll
+    // profile follows the environment.
+    const { useDll, dllProfile } = this.options
+    this.useDll  = typeof useDll === 'boolean' ? useDll : this.development
+    this.profile = dllProfile || (this.development ? 'development' : 'production')
+
+    // Paths, each profile has own dll directory.
+    this.dllRoot         = path.resolve(base, this.options.dllDirectoryName)
+    this.dllDirectory    = path.resolve(this.dllRoot, this.profile)
+    this.dllCachePath    = path.resolve(this.dllDirectory, 'dll.json')
+    this.dllAssetsPath   = path.resolve(this.dllDirectory, 'dll-assets.json')
+    this.dllStatsPath    = path.resolve(this.dllDirectory, 'dll-stats.json')
+    this.dllSizesPath    = path.resolve(this.dllDirectory, 'dll-sizes.json')
+    this.dllLockPath     = path.resolve(this.dllDirectory, 'dll.lock')
+    this.cdnCachePath    = path.resolve(this.dllRoot, 'cdn.json')
+    this.pkgJsonPath     = path.resolve(base, 'package.json')
+    this.cdnManifestPath = this.options.manifest && path.resolve(base, this.options.manifest)
+  }
+
+  apply (compiler: Object): void {
+    // The dll config inherits from webpack options.
+    this.userConfig = compiler.options
+
+    this.logger.attach(compiler)
+
+    if(this.useDll) {
+      this.applyDll(compiler)
+    } else {
+      this.applyCDN(compiler)
+    }
+  }
+
+  /**
+   * Build dll before compile, use the dll bundle via DllReferencePlugin.
+   */
+  applyDll (compiler: Object): void {
+    // Make dll bundles, rebuild when pkg.dependencies changed.
+    // NOTE: The watch-run passes watching instead of compiler.
+    const make = (watching, callback) => {
+      this.logger.debug('check dll bundles before compile')
+      this.make().then(() => callback()).catch(callback)
+    }
+    compiler.plugin('before-run', make)
+    compiler.plugin('watch-run', make)
+
+    // Reference the current dlls at each compile, the dropped dll was
+    // never referenced again.
+    compiler.apply(new DllReferences(this.base, () => {
+      return this.dlls.map(dll => this.getManifestPath(dll.name))
+    }))
+
+    // Report the exceeded budget of dll bundles.
+    compiler.plugin('this-compilation', compilation => {
+      this.reportBudget(compilation, this.dllSizes, 'dll')
+    })
+
+    // Watch package.json, the user entries keep untouched.
+    compiler.plugin('after-compile', (compilation, callback) => {
+      if(!~compilation.fileDependencies.indexOf(this.pkgJsonPath)) {
+        compilation.fileDependencies.push(this.pkgJsonPath)
+      }
+      callback()
+    })
+
+    // Emit dll bundles with the app assets.
+    // The source map of dll was emitted along with it, if exists.
+    compiler.plugin('emit', (compilation, callback) => {
+      this.getDllAssets().then(assets => Promise.all(assets.map(assetName => {
+        return Promise.all([
+          fs.readFile(path.resolve(this.dllDirectory, assetName)),
+          fs.readFile(path.resolve(this.dllDirectory, `${assetName}.map`)).catch(err => null)
+        ]).then(([ content, sourceMap ]) => {
+          compilation.assets[assetName] = toAsset(content)
+          if(sourceMap) compilation.assets[`${assetName}.map`] = toAsset(sourceMap)
+        })
+      }))).then(() => callback()).catch(callback)
+    })
+
+    // Add dll assets to HTMLWebpackPlugin, load by the build order.
+    compiler.plugin('compilation', compilation => {
+      const htmlPluginHook = 'html-webpack-plugin-before-html-generation'
+      compilation.plugin(htmlPluginHook, (data, callback) => {
+        this.getDllAssets().then(assets => {
+          data.assets.js = assets.concat(data.assets.js)
+          callback(null, data)
+        }).catch(callback)
+      })
+    })
+  }
+
+  /**
+   * Map libraries to CDN, the unresolved bundle into vendor chunk.
+   */
+  applyCDN (compiler: Object): void {
+    const name   = this.options.dllName
+    const output = compiler.options.output || {}
+
+    // Filled after resolved, before compile.
+    const externals = {}
+    compiler.apply(new webpack.ExternalsPlugin(output.libraryTarget || 'var', externals))
+
+    // Add vendor entry, the entry-option was called after all plugins
+    // applied, take over it.
+    compiler.plugin('entry-option', (context, entry) => {
+      compiler.apply(new DynamicEntryPlugin(context, () => Promise.all([
+        typeof entry === 'function' ? entry() : entry,
+        this.resolve()
+      ]).then(([ resolvedEntry, resolved ]) => {
+        if(!resolved.unResolved.length) return resolvedEntry
+        return addVendorEntry(resolvedEntry, name, resolved.unResolved)
+      })))
+      return true
+    })
+
+    // Resolve before compile.
+    // NOTE: The watch-run passes watching instead of compiler.
+    let prepared = false
+    const prepare = (watching, callback) => {
+      this.resolve().then(resolved => {
+        if(prepared) return
+        prepared = true
+
+        Object.assign(externals, resolved.externals)
+
+        // Split the vendor modules out of the app chunks.
+        const plugins = compiler.options.plugins || []
+        const hasVendorChunk = plugins.some(plugin => {
+          return plugin instanceof webpack.optimize.CommonsChunkPlugin
+            && ~(plugin.chunkNames || []).indexOf(name)
+        })
+        if(resolved.unResolved.length && !hasVendorChunk) {
+          compiler.apply(new webpack.optimize.CommonsChunkPlugin({
+            name,
+            minChunks: Infinity
+          }))
+        }
+      }).then(() => callback()).catch(callback)
+    }
+    compiler.plugin('before-run', prepare)
+    compiler.plugin('watch-run', prepare)
+
+    // Report the resolve errors and the exceeded budget.
+    compiler.plugin('this-compilation', compilation => {
+      if(!this.resolving) return
+      this.resolving.then(resolved => {
+        resolved.errors.forEach(err => compilation.errors.push(err))
+        this.reportBudget(compilation, resolved.sizes, 'CDN')
+      })
+    })
+
+    // Emit the self-hosted copies.
+    compiler.plugin('emit', (compilation, callback) => {
+      this.resolve().then(resolved => {
+        const { fallbacks } = resolved
+        return emitFallbacks(compilation, Object.keys(fallbacks).map(url => fallbacks[url]))
+      }).then(() => callback()).catch(callback)
+    })
+
+    // Make HTMLWebpackPlugin script tags.
+    compiler.plugin('compilation', compilation => {
+      let publicPath = ''
+
+      const htmlPluginHook = 'html-webpack-plugin-before-html-generation'
+      compilation.plugin(htmlPluginHook, (data, callback) => {
+        this.resolve().then(resolved => {
+          publicPath = data.assets.publicPath
+
+          // The externals must load before app.
+          data.assets.js = resolved.libraryTags.concat(data.assets.js)
+
+          // Library stylesheets load before app's.
+          data.assets.css = resolved.libStyles.map(style => style.url).concat(data.assets.css)
+          callback(null, data)
+        }).catch(callback)
+      })
+
+      // Add integrity and fallback guard to CDN tags.
+      const htmlTagsHook = 'html-webpack-plugin-alter-asset-tags'
+      compilation.plugin(htmlTagsHook, (data, callback) => {
+        this.resolve().then(resolved => {
+          applyIntegrity(data.head.concat(data.body), resolved.integrities)
+          applyFallback(data.head, resolved.fallbacks, publicPath)
+          applyFallback(data.body, resolved.fallbacks, publicPath)
+          callback(null, data)
+        }).catch(callback)
+      })
+    })
+  }
+
+  /**
+   * Make dll bundles with the build lock, the other process building
+   * the same dll directory, wait for it and reuse the dll.
+   */
+  make (): Promise<*> {
+    return withLock(this.dllLockPath, () => this.makeDlls(), () => {
+      this.logger.info('waiting for another process building dll…')
+    })
+  }
+
+  /**
+   * Make dll bundles, only the changed one and those after it rebuild.
+   * The dll changed when the installed versions or build config changed.
+   */
+  makeDlls (): Promise<*> {
+    const { pkgJsonPath, dllCachePath, dllAssetsPath, logger } = this
+
+    return Promise.resolve({})
+      .then(opts => {
+        return fs.readFile(pkgJsonPath)
+          .then(pkg => {
+            opts.deps = JSON.parse(pkg).dependencies || {}
+            return opts
+          })
+          .catch(err => {
+            // Can't find 'package.json' file, maybe was never happen.
+            throw new Error(`Can't find package.json`)
+          })
+      })
+      .then(opts => {
+        return fs.readFile(dllCachePath)
+          .then(cache => {
+            opts.cache = JSON.parse(cache)
+            return opts
+          })
+          .catch(err => {
+            // Initial build, can't find dll cache file.
+            logger.info('start to build dll bundle…')
+            opts.cache = {}
+            return opts
+          })
+      })
+      .then(opts => {
+        return readJSON(dllAssetsPath).then(assets => {
+          opts.assets = assets
+          return opts
+        })
+      })
+      .then(opts => {
+        return this.getDlls(opts.deps).then(dlls => {
+          opts.dlls = dlls
+          return opts
+        })
+      })
+      .then(opts => {
+        const { cache, dlls, assets } = opts
+        const fresh   = {}
+        const files   = {}
+        const built   = {}
+        const rebuilt = []
+
+        // Build into temporary directory, then move into dll directory
+        // after all built. The interrupted build never treated as valid.
+        const tmpDirectory = path.resolve(this.dllDirectory, TmpPrefix + process.pid)
+        const manifestOf   = name => ~rebuilt.indexOf(name)
+          ? path.resolve(tmpDirectory, `${name}-manifest.json`)
+          : this.getManifestPath(name)
+
+        // The module ids of dll changed after rebuild, the later dlls
+        // which reference it need rebuild too.
+        let changed = false
+        return dlls.reduce((prev, dll, idx) => prev.then(() => {
+          fresh[dll.name] = dll.fingerprint
+          files[dll.name] = assets[dll.name]
+
+          return this.checkDll(dll.name, assets[dll.name])
+        }).then(intact => {
+          const same = isEqual(cache[dll.name], dll.fingerprint)
+
+          // Pass when not first run and valid successfully.
+          if(!changed && intact && same) {
+            logger.debug(`${dll.name} dll is up to date`)
+            return
+          }
+
+          // Rebuild dll bundle.
+          if(!changed && cache[dll.name]) {
+            if(!intact) {
+              logger.info(`found ${dll.name} dll missing or corrupted, rebuild it`)
+            } else if(!same) {
+              logger.info(`found ${dll.name} dll dependencies or config changed`)
+            }
+          }
+
+          changed = true
+          const references = dlls.slice(0, idx).map(dll => manifestOf(dll.name))
+          return this.build(dll, references, tmpDirectory).then(result => {
+            files[dll.name] = result.file
+            built[dll.name] = result
+            rebuilt.push(dll.name)
+          })
+        }), this.clean()).then(() => {
+          this.dlls = dlls
+          if(!changed && isEqual(cache, fresh)) return
+
+          return this.commit(tmpDirectory, rebuilt, { fresh, files, assets, built })
+        }).then(() => {
+          // Notify after committed, the stats always match the dll files.
+          const { onDllBuilt } = this.options
+          if(onDllBuilt) rebuilt.forEach(name => onDllBuilt(built[name].stats, name))
+        }).then(() => readJSON(this.dllSizesPath)).then(sizes => {
+          this.dllSizes = merge(dlls.map(dll => sizes[dll.name]).filter(Boolean))
+        }).catch(err => {
+          return fs.remove(tmpDirectory).then(() => { throw err })
+        })
+      })
+  }
+
+  /**
+   * Move the built dlls into dll directory. The dll.json was removed
+   * first and written at last, never claims a half moved dll valid.
+   */
+  commit (tmpDirectory: string, rebuilt: Array<string>, state: Object): Promise<*> {
+    const { dllDirectory, dllCachePath, dllAssetsPath } = this
+    const { fresh, files, assets, built } = state
+
+    // The dropped dlls and the bundles replaced by new hash.
+    const outdated = Object.keys(assets).filter(name => assets[name] !== files[name])
+
+    // The bundles, source maps and manifests of the rebuilt dlls, the
+    // old source map maybe not rebuilt when devtool changed. Only drop
+    // dlls, nothing built, the temporary directory never created.
+    return fs.remove(dllCachePath)
+      .then(() => Promise.all(rebuilt.map(name => {
+        return fs.remove(path.resolve(dllDirectory, `${files[name]}.map`))
+      })))
+      .then(() => rebuilt.length ? fs.readdir(tmpDirectory) : [])
+      .then(names => Promise.all(names.map(name => {
+        return fs.move(
+          path.resolve(tmpDirectory, name),
+          path.resolve(dllDirectory, name),
+          { overwrite: true }
+        )
+      })))
+      .then(() => this.writeStats(built))
+      .then(() => this.writeSizes(built))
+      .then(() => writeFileAtomic(dllAssetsPath, JSON.stringify(files, null, 2) + '\n'))
+      .then(() => writeFileAtomic(dllCachePath, JSON.stringify(fresh)))
+      .then(() => Promise.all(outdated.map(name => Promise.all([
+        fs.remove(path.resolve(dllDirectory, assets[name])),
+        fs.remove(path.resolve(dllDirectory, `${assets[name]}.map`)),
+        files[name] ? null : fs.remove(this.getManifestPath(name))
+      ]))))
+      .then(() => fs.remove(tmpDirectory))
+  }
+
+  /**
+   * Write the stats of dll builds to dll-stats.json, for the bundle
+   * analyzers. The stats of the dlls not rebuilt were kept, multiple
+   * dlls were written as `children` like webpack MultiStats.
+   */
+  writeStats (built: { [name: string]: Built }): Promise<*> {
+    return readJSON(this.dllStatsPath).then(prev => {
+      const children = this.dlls.map(dll => {
+        if(built[dll.name]) return built[dll.name].json
+        return (prev.children || [ prev ]).find(child => child.name === dll.name)
+      }).filter(Boolean)
+
+      const content = children.length === 1 ? children[0] : { children }
+      return writeFileAtomic(this.dllStatsPath, JSON.stringify(content))
+    })
+  }
+
+  /**
+   * Write the sizes of dll builds to dll-sizes.json, the budget was
+   * checked at each run, even the dlls were not rebuilt.
+   */
+  writeSizes (built: { [name: string]: Built }): Promise<*> {
+    return readJSON(this.dllSizesPath).then(prev => {
+      const sizes = {}
+      this.dlls.forEach(dll => {
+        const size = built[dll.name] ? built[dll.name].sizes : prev[dll.name]
+        if(size) sizes[dll.name] = size
+      })
+      return writeFileAtomic(this.dllSizesPath, JSON.stringify(sizes))
+    })
+  }
+
+  /**
+   * Report the sizes exceeded `options.budget` as compilation warning,
+   * or error by `hints: 'error'`.
+   */
+  reportBudget (compilation: Object, sizes: ?Sizes, label: string): void {
+    const { budget } = this.options
+    if(!budget || !sizes) return
+
+    const messages = check(budget, sizes)
+    if(!messages.length) return
+
+    const err = new Error(`LibraryPlugin ${label} budget exceeded:\n${messages.map(msg => `  ${msg}`).join('\n')}`)
+    if(budget.hints === 'error') {
+      compilation.errors.push(err)
+    } else {
+      compilation.warnings.push(err)
+    }
+  }
+
+  /**
+   * Remove the temporary directories left by the interrupted builds.
+   */
+  clean (): Promise<*> {
+    const { dllDirectory } = this
+
+    return fs.readdir(dllDirectory).catch(err => []).then(names => {
+      return Promise.all(names.filter(name => name.indexOf(TmpPrefix) === 0).map(name => {
+        return fs.remove(path.resolve(dllDirectory, name))
+      }))
+    })
+  }
+
+  /**
+   * Group the libraries to dlls by `options.dlls`, the rest go to the
+   * `options.dllName` dll. Each dll fingerprinted by the installed
+   * versions and the build config.
+   */
+  getDlls (deps: Object): Promise<Array<Dll>> {
+    const { include, exclude, dllName, dlls, dllFilename, dllConfig } = this.options
+    const devtool = this.getDevtool()
+    const { resolve, resolveLoader } = this.userConfig
+    const module  = this.options.module || this.userConfig.module
+    const plugins = this.getInheritedPlugins().map(plugin => {
+      return { name: plugin.constructor.name, options: plugin }
+    })
+    const groups = dlls || {}
+    const libs   = Object.keys(deps)
+      .concat(include)
+      .filter(x => !~exclude.indexOf(x))
+
+    const result = Object.keys(groups).map(name => ({
+      name,
+      libs: groups[name].filter(x => !~exclude.indexOf(x))
+    }))
+
+    const grouped = [].concat(...result.map(dll => dll.libs))
+    const rest    = libs.filter(x => !~grouped.indexOf(x))
+    if(rest.length) {
+      const dll = result.find(dll => dll.name === dllName)
+      if(dll) dll.libs = dll.libs.concat(rest)
+      else result.push({ name: dllName, libs: rest })
+    }
+
+    const built = result.filter(dll => dll.libs.length)
+    return Promise.all(built.map((dll, idx) => {
+      const key = getKey({
+        include,
+        exclude,
+        dllFilename,
+        module,
+        resolve,
+        resolveLoader,
+        plugins,
+        dllConfig,
+        devtool,
+        webpack:    require('webpack/package.json').version,
+        profile:    this.profile,
+        references: built.slice(0, idx).map(dll => dll.name)
+      })
+
+      return readVersions(this.base, dll.libs).then(versions => {
+        return { name: dll.name, libs: dll.libs, fingerprint: { versions, key } }
+      })
+    }))
+  }
+
+  /**
+   * Check the manifest and bundle of dll exist and match each other,
+   * the DllReferencePlugin throws when the manifest was broken.
+   */
+  checkDll (name: string, file: ?string): Promise<boolean> {
+    if(!file) return Promise.resolve(false)
+
+    return Promise.all([
+      readJSON(this.getManifestPath(name)),
+      fs.pathExists(path.resolve(this.dllDirectory, file))
+    ]).then(([ manifest, exists ]) => {
+      return exists && manifest.name === getLibraryName(name) && isPlainObject(manifest.content)
+    })
+  }
+
+  /**
+   * Get the dll manifest path, used by DllReferencePlugin.
+   */
+  getManifestPath (name: string): string {
+    return path.resolve(this.dllDirectory, `${name}-manifest.json`)
+  }
+
+  /**
+   * Get the hashed dll bundle filenames by the build order, read from
+   * the assets manifest which maps dll name to the current file.
+   */
+  getDllAssets (): Promise<Array<string>> {
+    return readJSON(this.dllAssetsPath).then(assets => {
+      return this.dlls.map(dll => assets[dll.name]).filter(Boolean)
+    })
+  }
+
+  /**
+   * The devtool of dll build, `options.dllDevtool` overrides the profile.
+   */
+  getDevtool (): string | false {
+    const { dllDevtool } = this.options
+    return dllDevtool == null ? getProfile(this.profile).devtool : dllDevtool
+  }
+
+  /**
+   * Build dll bundle use webpack, reference the dlls built before it.
+   */
+  build (dll: Dll, references: Array<string>, outputPath: string): Promise<Built> {
+    // The stylesheets of library also bundle into dll.
+    return this.getStyleEntries(dll.libs).then(styles => {
+      return this.compile({ [dll.name]: dll.libs.concat(styles) }, references, outputPath)
+    })
+  }
+
+  /**
+   * Compile dll entry, resolve the emitted bundle filename and stats.
+   */
+  compile (entry: Object, references: Array<string>, outputPath: string): Promise<Built> {
+    const { base, logger } = this
+    const name             = Object.keys(entry)[0]
+    const manifestPath     = path.resolve(outputPath, `${name}-manifest.json`)
+    const output = {
+      path: outputPath,
+      filename: this.options.dllFilename,
+      library:  getLibraryName(name)
+    }
+
+    const profile       = getProfile(this.profile)
+    const defaultConfig = {
+      entry,
+      output,
+      context:       base,
+      devtool:       this.getDevtool(),
+      module:        this.options.module || this.userConfig.module || {},
+      resolve:       this.userConfig.resolve,
+      resolveLoader: this.userConfig.resolveLoader,
+      plugins:       this.getInheritedPlugins().concat(profile.plugins(), references.map(manifest => {
+        return new webpack.DllReferencePlugin({
+          context: base,
+          manifest
+        })
+      }), new webpack.DllPlugin({
+        path: manifestPath,
+        name: getLibraryName(name)
+      }))
+    }
+
+    const config = this.applyDllConfig(defaultConfig)
+
+    return new Promise(function (resolve, reject) {
+      webpack(config, (err, stats) => {
+        if (err) {
+          logger.error(err.stack || String(err))
+          if (err.details) logger.error(err.details)
+          reject(err)
+          return
+        }
+
+        const info = stats.toJson()
+        if (stats.hasWarnings()) {
+          logger.warn(info.warnings.join('\n'))
+        }
+        if (stats.hasErrors()) {
+          logger.error(info.errors.join('\n'))
+          reject(info.errors)
+          return
+        }
+
+        // Log webpack stats.
+        logger.verbose(stats.toString(true))
+
+        // NOTE: Fix https://github.com/webpack/watchpack/issues/25
+        const now = Date.now() / 1000 - 10
+
+        // The bundle filename was hashed.
+        const file = [].concat(info.assetsByChunkName[name]).find(asset => /\.js$/.test(asset))
+          || `${name}.js`
+
+        // The module sources were dropped, the analyzers read the bundle.
+        const json = Object.assign({ name }, stats.toJson({ source: false }))
+
+        // Measured as the profile emits, the same as CDN minified files.
+        const sizes = measureModules(stats.compilation, profile.minify)
+
+        fs.utimes(manifestPath, now, now).then(() => {
+          logger.info(`build ${name} dll successfully`)
+          resolve({ file, stats, json, sizes })
+        }).catch(reject)
+      })
+    }.bind(this))
+  }
+
+  /**
+   * Apply `options.dllConfig`, merge the object or call the function.
+   * The entry and output path always kept, the plugin relies on them.
+   */
+  applyDllConfig (defaultConfig: Object): Object {
+    const dllConfig = this.options.dllConfig
+
+    let config = defaultConfig
+    if(typeof dllConfig === 'function') {
+      config = dllConfig(defaultConfig, this.userConfig) || defaultConfig
+    } else if(dllConfig) {
+      config = mergeWith({}, defaultConfig, dllConfig, (value, srcValue) => {
+        if(Array.isArray(value)) return value.concat(srcValue)
+      })
+    }
+
+    return Object.assign({}, config, {
+      entry:  defaultConfig.entry,
+      output: Object.assign({}, config.output, { path: defaultConfig.output.path })
+    })
+  }
+
+  /**
+   * Get the plugins of app config which change how the vendor modules
+   * resolved or compiled, like DefinePlugin.
+   */
+  getInheritedPlugins (): Array<Object> {
+    const plugins = this.userConfig.plugins || []
+    return plugins.filter(plugin => {
+      return InheritedPlugins.some(name => plugin instanceof webpack[name])
+    })
+  }
+
+  /**
+   * Get the stylesheets of libraries as module request. The style-only
+   * library was resolved by the library name.
+   */
+  getStyleEntries (libs: Array<string>): Promise<Array<string>> {
+    return Promise.all(libs.map(libname => {
+      const libraryPkgPath = path.resolve(this.base, 'node_modules', libname, 'package.json')
+
+      return fs.readFile(libraryPkgPath).then(content => {
+        const pkg  = JSON.parse(content)
+        const file = getStyleFile(pkg)
+        if(!file || isStyleOnly(pkg)) return null
+
+        return `${libname}/${file}`
+      }, err => null)
+    })).then(styles => styles.filter(Boolean))
+  }
+
+  /**
+   * Resolve libraries for production, only run once.
+   */
+  resolve (): Promise<Resolved> {
+    if(!this.resolving) this.resolving = this.resolveLibraries()
+    return this.resolving
+  }
+
+  resolveLibraries (): Promise<*> {
+    const { base, pkgJsonPath, cdnManifestPath, cdnCachePath } = this
+    const { include, exclude, offline, cacheTTL, integrity, fallback } = this.options
+
+    // Report to compilation errors.
+    const errors = []
+
+    // Read pkg.dependencies, pinned CDN manifest and resolution cache.
+    return Promise.all([
+      fs.readFile(pkgJsonPath),
+      cdnManifestPath ? readManifest(cdnManifestPath) : {},
+      cacheTTL > 0 ? readCache(cdnCachePath) : {}
+    ]).then(([ pkg, manifest, cache ]) => {
+      this.cdnManifest = manifest
+      this.cdnCache    = cache
+      const deps       = JSON.parse(pkg).dependencies || {}
+      return deps
+    }).then(deps => {
+      const libs = Object.keys(deps).concat(include).filter(x => !~exclude.indexOf(x))
+      return Promise.all([
+        Promise.all(libs.map(libname => this.resolveLibrary(libname))),
+        Promise.all(libs.map(libname => this.resolveStylesheet(libname)))
+      ])
+    }).then(([ libTuples, styles ]) => {
+      this.libStyles = styles.filter(Boolean)
+
+      // Load the CDN files after their dependencies and the owners of
+      // the globals they use.
+      const names   = libTuples.map(tuple => tuple[0])
+      const globals = {}
+      libTuples.forEach(([ libname, exportor ]) => {
+        globals[libname] = exportor
+      })
+
+      return readGraph(base, names).then(graph => linkGlobals(graph, globals, KnownGuards)).then(graph => {
+        let order = names
+        try {
+          order = sort(names, graph)
+        } catch(err) {
+          errors.push(err)
+        }
+
+        this.libStyles = sortBy(this.libStyles, style => order.indexOf(style.name))
+        return order.map(libname => libTuples[names.indexOf(libname)])
+      })
+    }).then(libTuples => {
+      // The style-only library has no script.
+      const styleOnly = this.libStyles.filter(style => style.styleOnly).map(style => style.name)
+      return libTuples.filter(tuple => !~styleOnly.indexOf(tuple[0]))
+    }).then(libTuples => {
+      if(cacheTTL <= 0) return libTuples
+      return writeCache(cdnCachePath, this.cdnCache, cacheTTL).then(() => libTuples)
+    }).then(libTuples => {
+      // Pin the resolutions, offline build will use them.
+      if(!cdnManifestPath || offline) return libTuples
+      return writeManifest(cdnManifestPath, this.cdnManifest).then(() => libTuples)
+    }).then(libTuples => {
+      const { cdnManifest, libStyles, reasons } = this
+      let externalLibrarys = {}, libraryTags = [], unResolved = []
+
+      // Filter the resolve failed library and report it.
+      // If failed, exclude it and build it from webpack, bundle into vendor.js.
+      libTuples.filter(([ libname, exportor, url ]) => {
+        if(exportor === null) {
+          reasons[libname] = reasons[libname] || `can't detect the global export name`
+          unResolved.push(libname)
+          return false
+        }
+
+        if(url === null) {
+          reasons[libname] = reasons[libname] || `can't resolve CDN url`
+          unResolved.push(libname)
+          return false
+        }
+
+        return true
+      }).forEach(([ libname, exportor, url ]) => {
+        externalLibrarys[libname] = exportor
+        libraryTags.push(url)
+      })
+
+      // The stylesheet was added as <link>, import it get nothing.
+      libStyles.forEach(style => {
+        if(style.styleOnly) externalLibrarys[style.name] = '{}'
+        externalLibrarys[style.request] = '{}'
+      })
+
+      // Integrity of the CDN files.
+      const integrities = {}
+      if(integrity) {
+        Object.keys(cdnManifest).forEach(name => {
+          const resolution = cdnManifest[name]
+          if(resolution.integrity) integrities[resolution.url] = resolution.integrity
+        })
+      }
+
+      // Self-hosted copies of the CDN files. The global shared by
+      // multiple libraries can't tell each one loaded, only the first
+      // was guarded by it. The known plugins were guarded by their own.
+      const fallbacks: { [url: string]: Fallback } = {}
+      const unguarded: { [name: string]: string } = {}
+      if(fallback) {
+        const owners = {}
+        libTuples.forEach(([ libname, exportor, url ]) => {
+          const resolution = cdnManifest[libname]
+          const file       = resolution && resolution.file
+          if(!exportor || !url || !file) return
+
+          if(!KnownGuards[libname]) {
+            const owner = owners[exportor]
+            if(owner) {
+              unguarded[libname] = owner
+              return
+            }
+            owners[exportor] = libname
+          }
+
+          const filePath = path.resolve(base, 'node_modules', libname, file)
+          fallbacks[url] = {
+            guard:     KnownGuards[libname] || exportor,
+            filePath,
+            assetName: getAssetName(this.options.fallbackDirectoryName, libname, filePath)
+          }
+        })
+      }
+
+      this.logger.info(this.report(libTuples, unResolved, unguarded))
+
+      // Measure the local copies of CDN files for the budget.
+      const files = {}
+      libTuples.forEach(([ libname ]) => {
+        const resolution = cdnManifest[libname]
+        if(~unResolved.indexOf(libname) || !resolution || !resolution.file) return
+        files[libname] = [ path.resolve(base, 'node_modules', libname, resolution.file) ]
+      })
+      libStyles.forEach(style => {
+        const resolution = cdnManifest[style.request]
+        if(!resolution || !resolution.file) return
+        const filePath = path.resolve(base, 'node_modules', style.name, resolution.file)
+        files[style.name] = (files[style.name] || []).concat(filePath)
+      })
+
+      const measuring = this.options.budget ? measureFiles(files) : Promise.resolve(null)
+      return measuring.then(sizes => ({
+        externals: externalLibrarys,
+        libraryTags,
+        libStyles,
+        unResolved,
+        integrities,
+        fallbacks,
+        sizes,
+        errors
+      }))
+    })
+  }
+
+  /**
+   * Make the resolution report, which libraries go to CDN or vendor
+   * bundle and why.
+   */
+  report (libTuples: Array<LibTuple>, unResolved: Array<string>, unguarded: { [name: string]: string }): string {
+    const { libStyles, reasons } = this
+    const lines = []
+    const names = libTuples.map(tuple => tuple[0]).concat(libStyles.map(style => style.name))
+    const width = Math.max(0, ...names.map(libname => libname.length))
+    const pad   = str => str + ' '.repeat(width - str.length)
+
+    libTuples.forEach(([ libname, exportor, url ]) => {
+      if(~unResolved.indexOf(libname)) {
+        lines.push(`  ${pad(libname)}  ${this.options.dllName}.js  ${reasons[libname]}`)
+      } else {
+        const note = unguarded[libname]
+          ? `, no fallback, "${String(exportor)}" shared with ${unguarded[libname]}`
+          : ''
+        lines.push(`  ${pad(libname)}  CDN  ${String(exportor)} ${String(url)}${note}`)
+      }
+    })
+
+    libStyles.forEach(style => {
+      lines.push(`  ${pad(style.name)}  CDN  ${style.url}`)
+    })
+
+    return `resolved libraries:\n${lines.join('\n')}`
+  }
+
+  /**
+   * Make libTuple, use the cached one when the installed version
+   * was resolved before.
+   */
+  resolveLibrary (libname: string): Promise<*> {
+    const { cdn, offline, cacheTTL, globals } = this.options
+    const libraryPkgPath = path.resolve(this.base, 'node_modules', libname, 'package.json')
+
+    return fs.readFile(libraryPkgPath).then(content => {
+      return JSON.parse(content).version
+    }, err => null).then(version => {
+      const provider = version ? getProviderKey(cdn, libname, version) : ''
+      const cached   = version && lookup(this.cdnCache, libname, version, provider, cacheTTL)
+      if(version && cached) {
+        this.logger.debug(`${libname}@${version} resolved from cache`)
+        if(cached.resolution) this.cdnManifest[libname] = cached.resolution
+        if(globals[libname]) return [ libname, globals[libname], cached.tuple[2] ]
+        return cached.tuple
+      }
+
+      // The export name was detected from the CDN file.
+      return this.getCDNUrl(libname).then(url => {
+        return this.getLibraryExportName(libname).then(exportor => [ libname, exportor, url ])
+      }).then((tuple: LibTuple) => {
+        // Only cache the resolved, the failed should retry next time.
+        // The offline resolution never pinged, online build verify it.
+        if(version && tuple[1] && tuple[2] && !offline) {
+          store(this.cdnCache, libname, version, provider, tuple, this.cdnManifest[libname])
+        }
+        return tuple
+      })
+    })
+  }
+
+  /**
+   * Get library stylesheet CDN uri, the pinned manifest was keyed by
+   * the module request, like `bootstrap/dist/css/bootstrap.css`.
+   */
+  resolveStylesheet (libname: string): Promise<?LibStyle> {
+    const { cdn, offline, integrity, cacheTTL } = this.options
+    const libraryPath    = path.resolve(this.base, 'node_modules', libname)
+    const libraryPkgPath = path.resolve(libraryPath, 'package.json')
+
+    return fs.readFile(libraryPkgPath).then(content => {
+      const pkg     = JSON.parse(content)
+      const version = pkg.version
+      const file    = getStyleFile(pkg)
+      if(!file) return null
+
+      const request   = `${libname}/${file}`
+      const styleOnly = isStyleOnly(pkg)
+      const pinned    = this.cdnManifest[request]
+
+      // The stylesheet cached by its request, no ping at repeat builds.
+      const provider = getProviderKey(cdn, libname, version)
+      const cached   = lookup(this.cdnCache, request, version, provider, cacheTTL)
+      const resolved = cached && cached.resolution
+      if(resolved) {
+        this.logger.debug(`${request}@${version} resolved from cache`)
+        this.cdnManifest[request] = resolved
+        return { name: libname, request, styleOnly, url: resolved.url }
+      }
+
+      // Pinned and still the same version.
+      const resolving = pinned && pinned.version === version
+        ? Promise.resolve(pinned)
+        : getMinifiedFile(libraryPath, file).then(minified => {
+          const provider = getProvider(cdn, libname)
+          const url      = provider({ name: libname, version, file: minified })
+          const resolution: Resolution = { version, url, file: minified }
+          if(!integrity) return resolution
+
+          return getIntegrity(path.resolve(libraryPath, minified)).then(hash => {
+            return Object.assign({}, resolution, { integrity: hash })
+          }, err => resolution)
+        })
+
+      return resolving.then(resolution => {
+        if(offline) return resolution
+        return ping(resolution.url).then(url => {
+          return url ? Object.assign({}, resolution, { url }) : null
+        })
+      }).then(resolution => {
+        if(!resolution) return null
+
+        this.cdnManifest[request] = resolution
+        if(!offline) {
+          store(this.cdnCache, request, version, provider, [ request, null, resolution.url ], resolution)
+        }
+        return { name: libname, request, styleOnly, url: resolution.url }
+      })
+    }, err => {
+      // Library not installed, can't resolve.
+      return null
+    })
+  }
+
+  /**
+   * Get library global export name, run the UMD file which used by
+   * CDN, otherwise the main entry.
+   */
+  getLibraryExportName (libname: string): Promise<?string> {
+    const resolution  = this.cdnManifest[libname]
+    const libraryPath = path.resolve(this.base, 'node_modules', libname)
+
+    return Promise.resolve().then(() => {
+      if(resolution && resolution.file) return path.resolve(libraryPath, resolution.file)
+      return require.resolve(libraryPath)
+    }).catch(err => null).then(filePath => {
+      return getExportName(libname, filePath, this.options.globals)
+    })
+  }
+
+  /**
+   * Get library CDN uri.
+   *
+   * At offline mode, the uri was made from pinned manifest or the
+   * installed package.json without network.
+   */
+  getCDNUrl (libname: string): Promise<?string> {
+    const { base, reasons } = this
+    const { cdn, offline, integrity } = this.options
+    const directoryPath    = `node_modules/${libname}`
+    const libraryPkgPath   = path.resolve(base, directoryPath, 'package.json')
+
+    return fs.readFile(libraryPkgPath).then(content => {
+      const pkg     = JSON.parse(content)
+      const version = pkg.version
+      const pinned  = this.cdnManifest[libname]
+
+      // Pinned and still the same version.
+      const resolving = pinned && pinned.version === version
+        ? Promise.resolve(pinned)
+        : getLibraryFile(pkg).then(file => {
+          if(!file) {
+            reasons[libname] = `can't find UMD file in ${directoryPath}`
+            return null
+          }
+
+          const provider = getProvider(cdn, libname)
+          const url      = provider({ name: libname, version, file })
+          const resolution: Resolution = { version, url, file }
+          if(!integrity) return resolution
+
+          // The CDN serve the same file as local at same version.
+          const filePath = path.resolve(base, directoryPath, file)
+          return getIntegrity(filePath).then(hash => {
+            return Object.assign({}, resolution, { integrity: hash })
+          }, err => resolution)
+        })
+
+      return resolving.then(resolution => {
+        if(!resolution || offline) return resolution
+
+        const { url } = resolution
+        return ping(url).then(href => {
+          if(href) return Object.assign({}, resolution, { url: href })
+
+          reasons[libname] = `unreachable on CDN ${url}`
+          return null
+        })
+      }).then(resolution => {
+        if(!resolution) return null
+
+        this.cdnManifest[libname] = resolution
+        return resolution.url
+      })
+    }, err => {
+      // Library not installed, can't resolve.
+      reasons[libname] = `can't find ${libraryPkgPath}`
+      return null
+    })
+
+    /**
+     * Get the UMD file path relative to library directory.
+     */
+    function getLibraryFile (pkg: Object): Promise<?string> {
+      const file = getPackageFile(pkg, ['unpkg', 'jsdelivr'])
+      if(file) return Promise.resolve(file)
+
+      // TODO Let path resolver configurable.
+      const dirResolver      = makePatten(['umd', 'dist', 'build'])
+      const fileResolver     = makePatten([libname, 'index'])
+      const fileFlagResolver = makePatten(['min', 'production'])
+      const umdPathName      = `${dirResolver}/**`
+      const fileName         = `${fileResolver}.${fileFlagResolver}.js`
+      const libraryUMDPath   = [umdPathName, fileName].join('/')
+
+      return new Promise(function (resolve, reject) {
+        glob(libraryUMDPath, { cwd: path.resolve(base, directoryPath) }, (err, paths) => {
+          if(err) {
+            reject(err)
+            return
+          }
+
+          // TODO more then one path.
+          if(paths.length > 0) resolve(paths[0])
+          else {
+            // Can't find any UMD file, fallback to browser field.
+            // Otherwise need build library from source.
+            resolve(getPackageFile(pkg, ['browser']))
+          }
+        })
+      })
+    }
+
+    function makePatten (arr: Array<string>): string {
+      return `+(${arr.join('|')})`
+    }
+  }
+}
+
+/**
+ * Add unresolved libraries to vendor entry.
+ */
+function addVendorEntry (entry: any, name: string, unResolved: Array<string>): any {
+  if(typeof entry === 'string' || Array.isArray(entry)) {
+    return { main: entry, [name]: unResolved }
+  } else if(isPlainObject(entry)) {
+    const vendor = entry[name]
+    if(typeof vendor === 'string' || Array.isArray(vendor)) {
+      return Object.assign({}, entry, { [name]: unResolved.concat(vendor) })
+    } else {
+      return Object.assign({}, entry, { [name]: unResolved })
+    }
+  }
+
+  return entry
+}
+
+/**
+ * Get the global variable of dll bundle, the dll name maybe not an
+ * identifier, and the prefix keeps it away from the library globals.
+ */
+function getLibraryName (name: string): string {
+  return `dll_${name.replace(/[^\w$]/g, '_')}`
+}
+
+/**
+ * Make webpack asset from file content.
+ */
+function toAsset (content: Buffer): Object {
+  return {
+    source: () => content,
+    size:   () => content.length
+  }
+}
+
+/**
+ * Write file via rename, never leave a half written file.
+ */
+function writeFileAtomic (filePath: string, content: string): Promise<*> {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  return fs.writeFile(tmpPath, content).then(() => fs.rename(tmpPath, filePath))
+}
+
+/**
+ * Read JSON file, returns empty when not exists or broken.
+ */
+function readJSON (filePath: string): Promise<Object> {
+  return fs.readFile(filePath)
+    .then(content => JSON.parse(content))
+    .catch(err => ({}))
+}
@@ -0,0 +1,59 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * DLL profiles
+ *
+ * The dll build differs by environment, each profile has own devtool
+ * and plugins. The production profile defines `process.env.NODE_ENV`
+ * and minifies the dll, then the prebuilt dll can be used at staging.
+ *
+ * Examples:
+ *
+ * library: {
+ *   dllProfile: 'production',
+ *   useDll:     true
+ * }
+ *
+ *
+ * Code:
+ */
+
+import webpack from 'webpack'
+
+
+export type ProfileName = 'development' | 'production'
+
+export type Profile = {
+  devtool: string | false,
+  minify:  boolean,
+  plugins: () => Array<Object>
+}
+
+export const Profiles: { [name: ProfileName]: Profile } = {
+  development: {
+    devtool: 'eval-source-map',
+    minify:  false,
+    plugins: () => []
+  },
+  production: {
+    devtool: 'source-map',
+    minify:  true,
+    plugins: () => [
+      new webpack.DefinePlugin({
+        'process.env.NODE_ENV': JSON.stringify('production')
+      }),
+      new webpack.optimize.UglifyJsPlugin({
+        sourceMap: true
+      })
+    ]
+  }
+}
+
+/**
+ * Get the dll profile by name.
+ */
+export function getProfile (name: ProfileName): Profile {
+  return Profiles[name]
+}
@@ -0,0 +1,71 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * DLL references
+ *
+ * Same as webpack DllReferencePlugin, but reference the current dlls
+ * at each compile. The dlls were added or dropped when dependencies
+ * changed, the DllReferencePlugin applied once keeps reading the
+ * manifest of the dropped dll.
+ *
+ *
+ * Code:
+ */
+
+import fs                           from 'fs-extra'
+import DelegatedModuleFactoryPlugin from 'webpack/lib/DelegatedModuleFactoryPlugin'
+import ExternalModuleFactoryPlugin  from 'webpack/lib/ExternalModuleFactoryPlugin'
+import NullFactory                  from 'webpack/lib/NullFactory'
+import DelegatedSourceDependency    from 'webpack/lib/dependencies/DelegatedSourceDependency'
+import DelegatedExportsDependency   from 'webpack/lib/dependencies/DelegatedExportsDependency'
+
+
+const ParamsKey = 'library plugin dll references'
+
+export default class DllReferences {
+  context:      string
+  getManifests: () => Array<string>
+
+  constructor (context: string, getManifests: () => Array<string>) {
+    this.context      = context
+    this.getManifests = getManifests
+  }
+
+  apply (compiler: Object): void {
+    compiler.plugin('compilation', (compilation, params) => {
+      compilation.dependencyFactories.set(DelegatedSourceDependency, params.normalModuleFactory)
+      compilation.dependencyFactories.set(DelegatedExportsDependency, new NullFactory())
+    })
+
+    // Read the manifests of current dlls, rebuild when they changed.
+    compiler.plugin('before-compile', (params, callback) => {
+      const manifestPaths = this.getManifests()
+      params.compilationDependencies.push(...manifestPaths)
+
+      Promise.all(manifestPaths.map(manifestPath => {
+        return fs.readFile(manifestPath).then(content => JSON.parse(content))
+      })).then(manifests => {
+        params[ParamsKey] = manifests
+        callback()
+      }).catch(callback)
+    })
+
+    compiler.plugin('compile', params => {
+      const manifests: Array<Object> = params[ParamsKey] || []
+      manifests.forEach(manifest => {
+        const source = `dll-reference ${manifest.name}`
+        params.normalModuleFactory.apply(new ExternalModuleFactoryPlugin('var', {
+          [source]: manifest.name
+        }))
+        params.normalModuleFactory.apply(new DelegatedModuleFactoryPlugin({
+          source,
+          type:    'require',
+          context: this.context,
+          content: manifest.content
+        }))
+      })
+    })
+  }
+}
@@ -0,0 +1,208 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Options schema
+ *
+ * JSON schema of the plugin options, the `description` was used as
+ * the expected value in error message.
+ *
+ *
+ * Code:
+ */
+
+const StringArray = {
+  type:  'array',
+  items: { type: 'string', minLength: 1 }
+}
+
+const BudgetLimit = {
+  description: 'an object of { size, gzip } bytes',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    size: { type: 'number', minimum: 0 },
+    gzip: { type: 'number', minimum: 0 }
+  }
+}
+
+const ProviderSpec = {
+  description: 'a provider name, url template or function',
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    { instanceof: 'Function' }
+  ]
+}
+
+export default {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    base: {
+      description: 'the project root path',
+      type:        'string',
+      minLength:   1
+    },
+    dllDirectoryName: {
+      description: 'a directory name relative to base',
+      type:        'string',
+      minLength:   1
+    },
+    dllName: {
+      description: 'a dll name',
+      type:        'string',
+      minLength:   1
+    },
+    dlls: {
+      description: 'an object of dll name to library names',
+      anyOf: [
+        { type: 'null' },
+        { type: 'object', additionalProperties: StringArray }
+      ]
+    },
+    dllFilename: {
+      description: 'a filename template, like "[name].[chunkhash].js"',
+      type:        'string',
+      minLength:   1
+    },
+    include: {
+      description: 'an array of library names',
+      type:        'array',
+      items:       StringArray.items
+    },
+    exclude: {
+      description: 'an array of library names',
+      type:        'array',
+      items:       StringArray.items
+    },
+    module: {
+      description: 'webpack module options',
+      anyOf: [
+        { type: 'null' },
+        { type: 'object' }
+      ]
+    },
+    dllConfig: {
+      description: 'webpack options merged into dll config, or a function (defaultConfig, userConfig) => config',
+      anyOf: [
+        { type: 'null' },
+        { type: 'object' },
+        { instanceof: 'Function' }
+      ]
+    },
+    dllProfile: {
+      description: 'one of "development", "production"',
+      anyOf: [
+        { type: 'null' },
+        { enum: [ 'development', 'production' ] }
+      ]
+    },
+    dllDevtool: {
+      description: 'a webpack devtool or false',
+      anyOf: [
+        { type: 'null' },
+        { enum: [ false ] },
+        { type: 'string', minLength: 1 }
+      ]
+    },
+    useDll: {
+      description: 'a boolean, use dll instead of CDN',
+      anyOf: [
+        { type: 'null' },
+        { type: 'boolean' }
+      ]
+    },
+    cdn: {
+      description: 'a provider or { provider, packages }',
+      anyOf: [
+        ProviderSpec,
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            provider: ProviderSpec,
+            packages: {
+              type: 'object',
+              additionalProperties: ProviderSpec
+            }
+          }
+        }
+      ]
+    },
+    offline: {
+      description: 'a boolean',
+      type:        'boolean'
+    },
+    manifest: {
+      description: 'a manifest path relative to base',
+      anyOf: [
+        { type: 'null' },
+        { type: 'string', minLength: 1 }
+      ]
+    },
+    cacheTTL: {
+      description: 'milliseconds, 0 disable the cache',
+      type:        'number',
+      minimum:     0
+    },
+    integrity: {
+      description: 'a boolean',
+      type:        'boolean'
+    },
+    fallback: {
+      description: 'a boolean',
+      type:        'boolean'
+    },
+    fallbackDirectoryName: {
+      description: 'a directory name relative to output path',
+      type:        'string',
+      minLength:   1
+    },
+    globals: {
+      description: 'an object of library name to global export name',
+      type:        'object',
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    log: {
+      description: 'a boolean or one of "silent", "error", "warn", "info", "verbose", "debug", "none"',
+      enum: [ true, false, 'silent', 'error', 'warn', 'info', 'verbose', 'debug', 'none' ]
+    },
+    logger: {
+      description: 'a function (level, message) => void',
+      anyOf: [
+        { type: 'null' },
+        { instanceof: 'Function' }
+      ]
+    },
+    onDllBuilt: {
+      description: 'a function (stats, name) => void',
+      anyOf: [
+        { type: 'null' },
+        { instanceof: 'Function' }
+      ]
+    },
+    budget: {
+      description: 'an object of { package, packages, total, hints }',
+      anyOf: [
+        { type: 'null' },
+        {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            package:  BudgetLimit,
+            packages: {
+              type: 'object',
+              additionalProperties: BudgetLimit
+            },
+            total:    BudgetLimit,
+            hints: {
+              description: 'one of "warning", "error"',
+              enum: [ 'warning', 'error' ]
+            }
+          }
+        }
+      ]
+    }
+  }
+}
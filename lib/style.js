@@ -0,0 +1,53 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Style library
+ *
+ * Find the stylesheet of library from package.json `style` or `main`
+ * field, like `normalize.css` and `bootstrap`. The style-only library
+ * has no script, only add as `<link rel="stylesheet">`.
+ *
+ *
+ * Code:
+ */
+
+import fs   from 'fs-extra'
+import path from 'path'
+
+
+/**
+ * Get the stylesheet file relative to library directory.
+ */
+export function getStyleFile (pkg: Object): ?string {
+  const fields = ['style', 'main']
+  for(let i = 0; i < fields.length; i++) {
+    const file = pkg[fields[i]]
+    if(isStyleFile(file)) return path.posix.normalize(file)
+  }
+
+  return null
+}
+
+/**
+ * The library main entry is stylesheet.
+ */
+export function isStyleOnly (pkg: Object): boolean {
+  return isStyleFile(pkg.main)
+}
+
+/**
+ * Prefer the minified stylesheet at the same directory.
+ */
+export function getMinifiedFile (libraryPath: string, file: string): Promise<string> {
+  if(/\.min\.css$/.test(file)) return Promise.resolve(file)
+
+  const minified = file.replace(/\.css$/, '.min.css')
+  return fs.pathExists(path.resolve(libraryPath, minified))
+    .then(exists => exists ? minified : file)
+}
+
+function isStyleFile (file: mixed): boolean {
+  return typeof file === 'string' && /\.css$/.test(file)
+}
@@ -0,0 +1,213 @@
+// -*- mode: js-jsx -*-
+// -*- coding: utf-8 -*-
+// @flow
+
+/**
+ * Options validation
+ *
+ * Validate the plugin options against the schema before any build
+ * starts, report the unknown keys with "did you mean", the wrong types
+ * and the conflicting options.
+ *
+ * Examples:
+ *
+ * Invalid LibraryPlugin options:
+ *   options has unknown property "exlude", did you mean "exclude"?
+ *   options.cacheTTL should be >= 0
+ *   options.cdn has unknown provider "jsdeliver", did you mean "jsdelivr"?
+ *   options.dlls key "jq-core" should be an identifier, like "jq_core"
+ *
+ *
+ * Code:
+ */
+
+import Ajv           from 'ajv'
+import ajvKeywords   from 'ajv-keywords'
+import path          from 'path'
+import schema        from './schema'
+import { providers } from './cdn'
+
+
+const ajv = new Ajv({ allErrors: true, verbose: true, jsonPointers: false })
+ajvKeywords(ajv, ['instanceof'])
+
+const validateSchema = ajv.compile(schema)
+
+/**
+ * Throw when the options was invalid.
+ */
+export default function validate (options: ?Object): void {
+  const errors = validateSchema(options || {})
+    ? getConflicts(options || {})
+    : formatErrors(validateSchema.errors)
+
+  if(errors.length) {
+    throw new Error(`Invalid LibraryPlugin options:\n${errors.map(msg => `  ${msg}`).join('\n')}`)
+  }
+}
+
+function formatErrors (errors: Array<Object>): Array<string> {
+  const anyOfs = errors.filter(err => err.keyword === 'anyOf')
+
+  // The anyOf reports each branch. When the value matched the type of
+  // a branch, report the errors inside the branch, otherwise only the
+  // outermost anyOf itself.
+  const messages = errors.filter(err => {
+    if(err.keyword === 'anyOf') {
+      const outermost = anyOfs.every(other => {
+        return other.dataPath !== err.dataPath || other.schemaPath.length >= err.schemaPath.length
+      })
+      return outermost && !errors.some(other => isDeeper(other, err))
+    }
+
+    return anyOfs.every(anyOf => {
+      return !isInside(err.dataPath, anyOf.dataPath) || isDeeper(err, anyOf)
+    })
+  }).map(formatError)
+
+  // Unique, the same message maybe reported by different branches.
+  return messages.filter((msg, idx) => messages.indexOf(msg) === idx)
+}
+
+/**
+ * The error was inside the anyOf branch which the value type matched.
+ */
+function isDeeper (err: Object, anyOf: Object): boolean {
+  if(!isInside(err.dataPath, anyOf.dataPath)) return false
+  if(err.dataPath !== anyOf.dataPath) return true
+
+  return !~[ 'type', 'instanceof', 'anyOf' ].indexOf(err.keyword)
+}
+
+function formatError (err: Object): string {
+  const name = `options${err.dataPath}`
+
+  switch(err.keyword) {
+    case 'additionalProperties': {
+      const key      = err.params.additionalProperty
+      const props    = Object.keys((err.parentSchema && err.parentSchema.properties) || {})
+      const suggests = suggest(key, props)
+      const hint     = suggests.length ? `, did you mean "${suggests[0]}"?` : ''
+      return `${name} has unknown property "${key}"${hint}`
+    }
+    case 'anyOf':
+    case 'enum':
+      return `${name} should be ${err.parentSchema.description || describe(err.schema)}`
+    case 'type':
+      return `${name} should be ${err.parentSchema.description || err.params.type}`
+    case 'minLength':
+      return `${name} should be a non-empty string`
+    case 'minimum':
+      return `${name} should be >= ${err.params.limit}`
+    default:
+      return `${name} ${err.message}`
+  }
+}
+
+/**
+ * The options conflict with each other, the schema can't describe.
+ */
+function getConflicts (options: Object): Array<string> {
+  const conflicts = []
+  const include   = options.include || []
+  const exclude   = options.exclude || []
+  const dlls      = options.dlls || {}
+
+  include.filter(name => ~exclude.indexOf(name)).forEach(name => {
+    conflicts.push(`options.include and options.exclude both have "${name}"`)
+  })
+
+  const owners = {}
+  Object.keys(dlls).forEach(dllName => {
+    dlls[dllName].forEach(name => {
+      if(owners[name]) {
+        conflicts.push(`options.dlls.${owners[name]} and options.dlls.${dllName} both have "${name}"`)
+      } else {
+        owners[name] = dllName
+      }
+    })
+  })
+
+  // The dll name was used as the global of bundle.
+  const dllNames = Object.keys(dlls).map(name => [ 'options.dlls key', name ])
+  if(options.dllName) dllNames.push([ 'options.dllName', options.dllName ])
+  dllNames.forEach(([ key, name ]) => {
+    if(/^[A-Za-z_$][\w$]*$/.test(name)) return
+
+    const identifier = name.replace(/[^\w$]/g, '_').replace(/^(\d)/, '_$1')
+    conflicts.push(`${key} "${name}" should be an identifier, like "${identifier}"`)
+  })
+
+  // The dll directory lives in base, cleaned by the plugin.
+  const dllDirectoryName = options.dllDirectoryName
+  if(dllDirectoryName && path.isAbsolute(dllDirectoryName)) {
+    conflicts.push(`options.dllDirectoryName should be a directory name relative to base`)
+  }
+
+  const filename = options.dllFilename
+  if(filename && !~filename.indexOf('[name]') && Object.keys(dlls).length) {
+    conflicts.push(`options.dllFilename should contain "[name]" when build multiple dlls`)
+  }
+
+  // The provider name was registered, otherwise an url template.
+  const cdn   = options.cdn
+  const specs = {}
+  if(typeof cdn === 'string') {
+    specs['options.cdn'] = cdn
+  } else if(cdn && typeof cdn === 'object') {
+    specs['options.cdn.provider'] = cdn.provider
+    Object.keys(cdn.packages || {}).forEach(name => {
+      specs[`options.cdn.packages[${JSON.stringify(name)}]`] = cdn.packages[name]
+    })
+  }
+  Object.keys(specs).forEach(key => {
+    const spec = specs[key]
+    if(typeof spec !== 'string' || providers[spec] || ~spec.indexOf('{')) return
+
+    const suggests = suggest(spec, Object.keys(providers))
+    const hint     = suggests.length ? `, did you mean "${suggests[0]}"?` : ''
+    conflicts.push(`${key} has unknown provider "${spec}"${hint}`)
+  })
+
+  return conflicts
+}
+
+/**
+ * Get the similar names, sorted by edit distance.
+ */
+function suggest (key: string, names: Array<string>): Array<string> {
+  const limit = Math.max(1, Math.floor(key.length / 3))
+  return names
+    .map(name => ({ name, dist: distance(key.toLowerCase(), name.toLowerCase()) }))
+    .filter(item => item.dist <= limit)
+    .sort((a, b) => a.dist - b.dist)
+    .map(item => item.name)
+}
+
+/**
+ * Levenshtein distance.
+ */
+function distance (a: string, b: string): number {
+  let prev = Array.from({ length: b.length + 1 }, (_, idx) => idx)
+
+  for(let i = 1; i <= a.length; i++) {
+    const curr = [ i ]
+    for(let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost)
+    }
+    prev = curr
+  }
+
+  return prev[b.length]
+}
+
+function isInside (dataPath: string, parent: string): boolean {
+  return dataPath === parent
+    || dataPath.indexOf(parent + '.') === 0
+    || dataPath.indexOf(parent + '[') === 0
+}
+
+function describe (schema: mixed): string {
+  return Array.isArray(schema) ? `one of ${schema.map(x => JSON.stringify(x)).join(', ')}` : 'valid'
+}
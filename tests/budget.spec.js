@@ -0,0 +1,136 @@
+import { measure, measureModules, merge, check, getPackageName } from '../lib/budget'
+
+
+const size = (raw, gzip) => ({ size: raw, gzip })
+
+describe('getPackageName', () => {
+  it('names after the last node_modules', () => {
+    expect(getPackageName('/app/node_modules/jquery/dist/jquery.js')).toBe('jquery')
+    expect(getPackageName('/repo/node_modules/.pnpm/ms@2.0.0/node_modules/ms/index.js')).toBe('ms')
+    expect(getPackageName('/app/node_modules/a/node_modules/b/index.js')).toBe('b')
+  })
+
+  it('keeps the scope', () => {
+    expect(getPackageName('/app/node_modules/@babel/runtime/helpers.js')).toBe('@babel/runtime')
+  })
+
+  it('supports windows paths', () => {
+    expect(getPackageName('C:\\app\\node_modules\\jquery\\dist\\jquery.js')).toBe('jquery')
+  })
+
+  it('returns null outside node_modules', () => {
+    expect(getPackageName('/app/src/index.js')).toBeNull()
+  })
+})
+
+describe('measureModules', () => {
+  const module = (resource, source, loaders = []) => ({
+    resource,
+    loaders:        loaders.map(loader => ({ loader, options: undefined })),
+    originalSource: () => ({ source: () => source }),
+    source:         () => ({ source: () => source })
+  })
+
+  const compilationOf = modules => ({
+    modules,
+    dependencyTemplates: new Map(),
+    moduleTemplate:      { outputOptions: {}, requestShortener: null }
+  })
+
+  it('groups module sources by package', () => {
+    const sizes = measureModules(compilationOf([
+      module('/app/node_modules/a/index.js', 'aaaa'),
+      module('/app/node_modules/a/lib/b.js', 'bb'),
+      module('/app/src/index.js', 'cc'),
+      { resource: '/app/node_modules/d/index.js' }
+    ]), false)
+
+    expect(Object.keys(sizes.packages)).toEqual([ 'a' ])
+    expect(sizes.packages.a.size).toBe(6)
+    expect(sizes.total.size).toBe(8)
+  })
+
+  it('counts the loader runtime in total only', () => {
+    const loaders = [ '/app/node_modules/style-loader/index.js', '/app/node_modules/css-loader/index.js' ]
+    const sizes   = measureModules(compilationOf([
+      module('/app/node_modules/normalize.css/normalize.css', 'css', loaders),
+      module('/app/node_modules/css-loader/lib/css-base.js', 'base'),
+      module('/app/node_modules/style-loader/lib/addStyles.js', 'styles')
+    ]), false)
+
+    expect(Object.keys(sizes.packages)).toEqual([ 'normalize.css' ])
+    expect(sizes.total.size).toBe(13)
+  })
+
+  it('minifies the sources for the minified profile', () => {
+    const source = [
+      'var longVariableName = 42;',
+      '// Comments were dropped.',
+      'module.exports = longVariableName;'
+    ].join('\n')
+    const modules = [ module('/app/node_modules/a/index.js', source) ]
+
+    const raw      = measureModules(compilationOf(modules), false)
+    const minified = measureModules(compilationOf(modules), true)
+    expect(raw.packages.a.size).toBe(source.length)
+    expect(minified.packages.a.size).toBeLessThan(source.length)
+  })
+})
+
+describe('measure', () => {
+  it('measures raw and gzip bytes', () => {
+    const result = measure([ Buffer.from('a'.repeat(1000)) ])
+
+    expect(result.size).toBe(1000)
+    expect(result.gzip).toBeGreaterThan(0)
+    expect(result.gzip).toBeLessThan(100)
+  })
+})
+
+describe('merge', () => {
+  it('sums the packages and totals', () => {
+    const merged = merge([
+      { packages: { a: size(10, 5), b: size(20, 8) }, total: size(30, 13) },
+      { packages: { b: size(1, 1), c: size(4, 2) }, total: size(5, 3) }
+    ])
+
+    expect(merged).toEqual({
+      packages: { a: size(10, 5), b: size(21, 9), c: size(4, 2) },
+      total:    size(35, 16)
+    })
+  })
+
+  it('returns zero for nothing', () => {
+    expect(merge([])).toEqual({ packages: {}, total: size(0, 0) })
+  })
+})
+
+describe('check', () => {
+  const sizes = {
+    packages: { jquery: size(90000, 30000), react: size(7000, 3000) },
+    total:    size(97000, 33000)
+  }
+
+  it('passes within the budget', () => {
+    expect(check({ package: { size: 100000 }, total: { gzip: 40000 } }, sizes)).toEqual([])
+  })
+
+  it('names the package exceeded', () => {
+    expect(check({ package: { gzip: 10000 } }, sizes)).toEqual([
+      'package "jquery" gzip size 30 kB exceeds the budget 10 kB'
+    ])
+  })
+
+  it('prefers the limit of package', () => {
+    expect(check({ package: { size: 1000 }, packages: { jquery: { size: 100000 } } }, sizes)).toEqual([
+      'package "react" size 7 kB exceeds the budget 1 kB'
+    ])
+  })
+
+  it('checks the total raw and gzip', () => {
+    expect(check({ total: { size: 50000, gzip: 20000 } }, sizes)).toEqual([
+      'total size 97 kB exceeds the budget 50 kB',
+      'total gzip size 33 kB exceeds the budget 20 kB'
+    ])
+  })
+})
@@ -0,0 +1,70 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { readCache, writeCache, lookup, store } from '../lib/cache'
+
+
+const Day      = 24 * 60 * 60 * 1000
+const Unpkg    = 'https://unpkg.com/jquery@3.2.1/{file}'
+const Jsdelivr = 'https://cdn.jsdelivr.net/npm/jquery@3.2.1/{file}'
+const Tuple    = [ 'jquery', 'jQuery', 'https://unpkg.com/jquery@3.2.1/dist/jquery.min.js' ]
+
+describe('lookup', () => {
+  it('hits the stored entry', () => {
+    const cache = {}
+    store(cache, 'jquery', '3.2.1', Unpkg, Tuple, { version: '3.2.1', url: Tuple[2] })
+
+    const entry = lookup(cache, 'jquery', '3.2.1', Unpkg, Day)
+    expect(entry && entry.tuple).toEqual(Tuple)
+    expect(entry && entry.resolution).toEqual({ version: '3.2.1', url: Tuple[2] })
+  })
+
+  it('misses other version or provider', () => {
+    const cache = {}
+    store(cache, 'jquery', '3.2.1', Unpkg, Tuple)
+
+    expect(lookup(cache, 'jquery', '3.2.0', Unpkg, Day)).toBeNull()
+    expect(lookup(cache, 'jquery', '3.2.1', Jsdelivr, Day)).toBeNull()
+  })
+
+  it('misses the expired entry', () => {
+    const cache = {}
+    store(cache, 'jquery', '3.2.1', Unpkg, Tuple)
+    Object.keys(cache).forEach(key => {
+      cache[key].timestamp -= 2 * Day
+    })
+
+    expect(lookup(cache, 'jquery', '3.2.1', Unpkg, Day)).toBeNull()
+    expect(lookup(cache, 'jquery', '3.2.1', Unpkg, 3 * Day)).not.toBeNull()
+  })
+})
+
+describe('writeCache', () => {
+  let cachePath
+
+  beforeEach(() => {
+    cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'library-cache-')), 'cdn.json')
+  })
+
+  afterEach(() => fs.remove(path.dirname(cachePath)))
+
+  it('drops the expired entries', () => {
+    const cache = {}
+    store(cache, 'jquery', '3.2.1', Unpkg, Tuple)
+    store(cache, 'react', '16.0.0', 'https://unpkg.com/react@16.0.0/{file}', [ 'react', 'React', null ])
+    const expired = Object.keys(cache).find(key => /^react@/.test(key))
+    cache[expired].timestamp -= 2 * Day
+
+    return writeCache(cachePath, cache, Day)
+      .then(() => readCache(cachePath))
+      .then(written => {
+        expect(Object.keys(written)).toEqual([ `jquery@3.2.1 ${Unpkg}` ])
+      })
+  })
+
+  it('reads empty cache when file broken', () => {
+    return fs.outputFile(cachePath, '{')
+      .then(() => readCache(cachePath))
+      .then(cache => expect(cache).toEqual({}))
+  })
+})
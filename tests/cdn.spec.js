@@ -0,0 +1,38 @@
+import http from 'http'
+import { ping } from '../lib/cdn'
+
+
+describe('ping', () => {
+  let server, sockets
+
+  beforeEach(done => {
+    sockets = []
+    server  = http.createServer((req, res) => {
+      // Never respond the hanging path, like the dropped packets.
+      if(req.url === '/hang') return
+      res.statusCode = req.url === '/jquery.min.js' ? 200 : 404
+      res.end()
+    })
+    server.on('connection', socket => sockets.push(socket))
+    server.listen(0, '127.0.0.1', done)
+  })
+
+  afterEach(done => {
+    sockets.forEach(socket => socket.destroy())
+    server.close(done)
+  })
+
+  const urlOf = file => `http://127.0.0.1:${server.address().port}/${file}`
+
+  it('resolves the url reachable', () => {
+    return ping(urlOf('jquery.min.js')).then(url => expect(url).toBe(urlOf('jquery.min.js')))
+  })
+
+  it('resolves null when not found', () => {
+    return ping(urlOf('missing.js')).then(url => expect(url).toBeNull())
+  })
+
+  it('resolves null when timeout', () => {
+    return ping(urlOf('hang'), 100).then(url => expect(url).toBeNull())
+  })
+})
@@ -0,0 +1,57 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { getExportName } from '../lib/export-name'
+
+
+describe('getExportName', () => {
+  let base
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'library-export-'))
+  })
+
+  afterEach(() => fs.remove(base))
+
+  function detect (name, content, globals = {}) {
+    const filePath = path.resolve(base, `${name}.js`)
+    return fs.outputFile(filePath, content).then(() => getExportName(name, filePath, globals))
+  }
+
+  it('picks the new global of UMD file', () => {
+    return detect('lib-umd', 'window.LibUmd = {}').then(name => expect(name).toBe('LibUmd'))
+  })
+
+  it('picks the global like the package name from many', () => {
+    return detect('my-lib', 'window.helper = {}; window.MyLib = {}').then(name => expect(name).toBe('MyLib'))
+  })
+
+  it('prefers the known name', () => {
+    return detect('jquery', 'window.$ = window.jQuery = {}').then(name => expect(name).toBe('jQuery'))
+  })
+
+  it('overrides by the explicit globals', () => {
+    return detect('lib-umd', 'window.LibUmd = {}', { 'lib-umd': 'Umd' }).then(name => expect(name).toBe('Umd'))
+  })
+
+  it('uses the known name of plugin exports nothing', () => {
+    return detect('bootstrap', 'window.jQuery.fn.modal = function () {}').then(name => expect(name).toBe('jQuery'))
+  })
+
+  it('guesses the camel case when other libraries missing', () => {
+    return detect('react-plugin', 'window.ReactPlugin = window.React.createClass({})')
+      .then(name => expect(name).toBe('reactPlugin'))
+  })
+
+  it('never guesses for CommonJS and ES module files', () => {
+    return Promise.all([
+      detect('lib-cjs', 'module.exports = {}'),
+      detect('lib-esm', 'export default {}'),
+      detect('lib-nothing', '(function () { var local = 1 })()')
+    ]).then(names => expect(names).toEqual([ null, null, null ]))
+  })
+
+  it('never guesses for the missing file', () => {
+    return getExportName('lib-missing', path.resolve(base, 'missing.js'), {}).then(name => expect(name).toBeNull())
+  })
+})
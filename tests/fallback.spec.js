@@ -0,0 +1,65 @@
+import vm from 'vm'
+import { getAssetName, applyFallback } from '../lib/fallback'
+
+
+const JQuery    = 'https://unpkg.com/jquery@3.2.1/dist/jquery.min.js'
+const Bootstrap = 'https://unpkg.com/bootstrap@3.3.7/dist/js/bootstrap.min.js'
+
+const fallbacks = {
+  [JQuery]: {
+    guard:     'jQuery',
+    filePath:  '/app/node_modules/jquery/dist/jquery.min.js',
+    assetName: 'fallback/jquery/jquery.min.js'
+  },
+  [Bootstrap]: {
+    guard:     'jQuery.fn.modal',
+    filePath:  '/app/node_modules/bootstrap/dist/js/bootstrap.min.js',
+    assetName: 'fallback/bootstrap/bootstrap.min.js'
+  }
+}
+
+const script = src => ({ tagName: 'script', closeTag: true, attributes: { type: 'text/javascript', src } })
+
+// Run the guard tag, get what document.write wrote.
+function runGuard (tag, window) {
+  const written = []
+  vm.runInNewContext(tag.innerHTML, { window, document: { write: html => written.push(html) } })
+  return written
+}
+
+describe('getAssetName', () => {
+  it('puts the copy under directory of library', () => {
+    expect(getAssetName('fallback', 'jquery', '/app/node_modules/jquery/dist/jquery.min.js'))
+      .toBe('fallback/jquery/jquery.min.js')
+  })
+})
+
+describe('applyFallback', () => {
+  it('inserts the guard after each CDN script', () => {
+    const tags = [ script(JQuery), script(Bootstrap), script('main.js') ]
+    applyFallback(tags, fallbacks, '/static/')
+
+    expect(tags.map(tag => tag.attributes.src)).toEqual([ JQuery, undefined, Bootstrap, undefined, 'main.js' ])
+    expect(tags[1].innerHTML).toBe(
+      'window["jQuery"] || document.write("<script type=\\"text/javascript\\" src=\\"/static/fallback/jquery/jquery.min.js\\"><\\/script>")'
+    )
+  })
+
+  it('loads the copy only when the guard missing', () => {
+    const tags = [ script(JQuery) ]
+    applyFallback(tags, fallbacks, '')
+
+    expect(runGuard(tags[1], {})).toEqual([
+      '<script type="text/javascript" src="fallback/jquery/jquery.min.js"></script>'
+    ])
+    expect(runGuard(tags[1], { jQuery: {} })).toEqual([])
+  })
+
+  it('checks the member the plugin added', () => {
+    const tags = [ script(Bootstrap) ]
+    applyFallback(tags, fallbacks, '')
+
+    expect(runGuard(tags[1], { jQuery: { fn: {} } })).toHaveLength(1)
+    expect(runGuard(tags[1], { jQuery: { fn: { modal: () => null } } })).toEqual([])
+  })
+})
@@ -0,0 +1,48 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { readVersions, getKey } from '../lib/fingerprint'
+
+
+describe('getKey', () => {
+  it('ignores the key order', () => {
+    expect(getKey({ a: 1, b: [ 1, 2 ] })).toBe(getKey({ b: [ 1, 2 ], a: 1 }))
+  })
+
+  it('changes with the array order', () => {
+    expect(getKey({ a: [ 1, 2 ] })).not.toBe(getKey({ a: [ 2, 1 ] }))
+  })
+
+  it('compares RegExp and function by source', () => {
+    const rule = test => ({ rules: [ { test, use: 'babel-loader' } ] })
+
+    expect(getKey(rule(/\.js$/))).toBe(getKey(rule(/\.js$/)))
+    expect(getKey(rule(/\.js$/))).not.toBe(getKey(rule(/\.jsx?$/)))
+    expect(getKey({ fn: x => x })).not.toBe(getKey({ fn: x => x + 1 }))
+  })
+
+  it('handles the circular objects', () => {
+    const plugin = { name: 'DefinePlugin' }
+    plugin.self = plugin
+
+    expect(() => getKey({ plugins: [ plugin ] })).not.toThrow()
+    expect(getKey({ plugins: [ plugin ] })).toBe(getKey({ plugins: [ plugin ] }))
+  })
+})
+
+describe('readVersions', () => {
+  let base
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'library-fingerprint-'))
+    return fs.outputJson(path.resolve(base, 'node_modules/jquery/package.json'), { name: 'jquery', version: '3.2.1' })
+  })
+
+  afterEach(() => fs.remove(base))
+
+  it('reads the installed versions, null when not installed', () => {
+    return readVersions(base, [ 'jquery', 'react' ]).then(versions => {
+      expect(versions).toEqual({ jquery: '3.2.1', react: null })
+    })
+  })
+})
@@ -1,9 +1,35 @@
-import fs from 'fs'
-import webpack from 'webpack'
-import LibraryPlugin from '../libs'
+import path from 'path'
+import LibraryPlugin from '../lib'
+import ResolveLibraryPlugin from '../lib/plugin'
 
 
-const compile = webpack({
-  entry: '',
-  output: '[name].js'
+const base = path.resolve(__dirname, 'spec/basic')
+
+describe('LibraryPlugin', () => {
+  it('moves library options to the plugin', () => {
+    return LibraryPlugin({
+      entry:   path.resolve(base, 'foo.js'),
+      library: { base, useDll: true }
+    }).then(options => {
+      expect(options.library).toBeUndefined()
+      expect(options.plugins).toHaveLength(1)
+      expect(options.plugins[0]).toBeInstanceOf(ResolveLibraryPlugin)
+      expect(options.plugins[0].base).toBe(base)
+    })
+  })
+
+  it('adds dll directory to dev server content base', () => {
+    return LibraryPlugin({
+      entry:     path.resolve(base, 'foo.js'),
+      library:   { base, useDll: true },
+      devServer: { contentBase: 'public' }
+    }).then(options => {
+      const { dllDirectory } = options.plugins[0]
+      expect(options.devServer.contentBase).toEqual([ 'public', dllDirectory ])
+    })
+  })
+
+  it('exposes the plugin class', () => {
+    expect(LibraryPlugin.ResolveLibraryPlugin).toBe(ResolveLibraryPlugin)
+  })
 })
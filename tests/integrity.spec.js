@@ -0,0 +1,46 @@
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { getIntegrity, applyIntegrity } from '../lib/integrity'
+
+
+const Url = 'https://unpkg.com/jquery@3.2.1/dist/jquery.min.js'
+const Css = 'https://unpkg.com/bootstrap@3.3.7/dist/css/bootstrap.min.css'
+
+describe('getIntegrity', () => {
+  let filePath
+
+  beforeEach(() => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'library-integrity-')), 'jquery.min.js')
+    return fs.outputFile(filePath, 'window.jQuery = {}')
+  })
+
+  afterEach(() => fs.remove(path.dirname(filePath)))
+
+  it('hashes the file by sha384', () => {
+    const hash = crypto.createHash('sha384').update('window.jQuery = {}').digest('base64')
+
+    return getIntegrity(filePath).then(integrity => expect(integrity).toBe(`sha384-${hash}`))
+  })
+})
+
+describe('applyIntegrity', () => {
+  it('adds integrity to the CDN scripts and stylesheets', () => {
+    const tags = [
+      { tagName: 'link', attributes: { rel: 'stylesheet', href: Css } },
+      { tagName: 'script', attributes: { src: Url } },
+      { tagName: 'script', attributes: { src: 'main.js' } },
+      { tagName: 'script', innerHTML: 'console.log(1)' }
+    ]
+
+    applyIntegrity(tags, { [Url]: 'sha384-js', [Css]: 'sha384-css' })
+
+    expect(tags).toEqual([
+      { tagName: 'link', attributes: { rel: 'stylesheet', href: Css, integrity: 'sha384-css', crossorigin: 'anonymous' } },
+      { tagName: 'script', attributes: { src: Url, integrity: 'sha384-js', crossorigin: 'anonymous' } },
+      { tagName: 'script', attributes: { src: 'main.js' } },
+      { tagName: 'script', innerHTML: 'console.log(1)' }
+    ])
+  })
+})
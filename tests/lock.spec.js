@@ -0,0 +1,92 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { withLock } from '../lib/lock'
+
+
+describe('withLock', () => {
+  let base, lockPath
+
+  beforeEach(() => {
+    base     = fs.mkdtempSync(path.join(os.tmpdir(), 'library-lock-'))
+    lockPath = path.resolve(base, 'dll.lock')
+  })
+
+  afterEach(() => fs.remove(base))
+
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+  // Run the tasks together, record the most of them run at same time.
+  function runTogether (count) {
+    let running = 0, most = 0
+    const task = () => {
+      running++
+      most = Math.max(most, running)
+      return delay(50).then(() => {
+        running--
+      })
+    }
+
+    const tasks = Array.from({ length: count }, () => withLock(lockPath, task))
+    return Promise.all(tasks).then(() => most)
+  }
+
+  it('resolves the task result and releases the lock', () => {
+    return withLock(lockPath, () => 42).then(result => {
+      expect(result).toBe(42)
+      expect(fs.existsSync(lockPath)).toBe(false)
+    })
+  })
+
+  it('releases the lock when the task failed', () => {
+    return withLock(lockPath, () => Promise.reject(new Error('build failed'))).then(() => {
+      throw new Error('should reject')
+    }, err => {
+      expect(err.message).toBe('build failed')
+      expect(fs.existsSync(lockPath)).toBe(false)
+    })
+  })
+
+  it('waits for the owner', () => {
+    const onWait = jest.fn()
+    const first  = withLock(lockPath, () => delay(100))
+    const second = delay(10).then(() => withLock(lockPath, () => fs.pathExists(lockPath), onWait))
+
+    return Promise.all([ first, second ]).then(([ _, locked ]) => {
+      expect(locked).toBe(true)
+      expect(onWait).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  it('takes over the lock of dead process', () => {
+    const owner = { pid: 999999999, hostname: os.hostname(), token: 'dead' }
+
+    return fs.outputJson(lockPath, owner)
+      .then(() => withLock(lockPath, () => fs.readJson(lockPath)))
+      .then(current => expect(current.token).not.toBe('dead'))
+  })
+
+  it('takes over the stale lock by one waiter at a time', () => {
+    const owner = { pid: process.pid, hostname: os.hostname(), token: 'stale' }
+
+    // The second waiter sees the stale lock after the first took over.
+    const stat = fs.stat
+    let calls  = 0
+    const spy  = jest.spyOn(fs, 'stat').mockImplementation((...args) => {
+      const stating = stat.apply(fs, args)
+      return ++calls === 2 ? stating.then(stats => delay(20).then(() => stats)) : stating
+    })
+
+    return fs.outputJson(lockPath, owner)
+      .then(() => fs.utimes(lockPath, 0, 0))
+      .then(() => runTogether(2))
+      .then(most => {
+        spy.mockRestore()
+        expect(most).toBe(1)
+        expect(fs.readdirSync(base)).toEqual([])
+      }, err => {
+        spy.mockRestore()
+        throw err
+      })
+  })
+})
@@ -0,0 +1,102 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { readGraph, linkGlobals, sort } from '../lib/order'
+import { KnownGuards } from '../lib/export-name'
+
+
+describe('sort', () => {
+  it('keeps the original order without dependencies', () => {
+    expect(sort([ 'a', 'b', 'c' ], {})).toEqual([ 'a', 'b', 'c' ])
+  })
+
+  it('puts dependencies first', () => {
+    const graph = {
+      'bootstrap': [ 'jquery' ],
+      'react-dom': [ 'react' ]
+    }
+
+    expect(sort([ 'bootstrap', 'react-dom', 'jquery', 'react' ], graph))
+      .toEqual([ 'jquery', 'bootstrap', 'react', 'react-dom' ])
+  })
+
+  it('throws on circular dependencies', () => {
+    const graph = { a: [ 'b' ], b: [ 'c' ], c: [ 'a' ] }
+
+    expect(() => sort([ 'a', 'b', 'c' ], graph))
+      .toThrow('Circular dependencies between libraries: a -> b -> c -> a')
+  })
+})
+
+describe('readGraph', () => {
+  let base
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'library-order-'))
+    return Promise.all([
+      // bootstrap 3 declares no dependencies on jquery.
+      writePackage('bootstrap', { version: '3.3.7', main: './dist/js/npm' }),
+      writePackage('react-dom', { dependencies: { fbjs: '^0.8.16' }, peerDependencies: { react: '^16.0.0' } }),
+      writePackage('jquery', { version: '3.2.1' })
+    ])
+  })
+
+  afterEach(() => fs.remove(base))
+
+  function writePackage (name, pkg) {
+    return fs.outputJson(path.resolve(base, 'node_modules', name, 'package.json'), Object.assign({ name }, pkg))
+  }
+
+  it('keeps only the edges between libraries', () => {
+    return readGraph(base, [ 'bootstrap', 'react-dom', 'jquery', 'react' ]).then(graph => {
+      expect(graph).toEqual({
+        'bootstrap': [],
+        'react-dom': [ 'react' ],
+        'jquery':    [],
+        'react':     []
+      })
+    })
+  })
+
+  it('loads bootstrap after jquery by the globals', () => {
+    const names   = [ 'bootstrap', 'react-dom', 'jquery', 'react' ]
+    const globals = { 'bootstrap': 'jQuery', 'react-dom': 'ReactDOM', 'jquery': 'jQuery', 'react': 'React' }
+
+    return readGraph(base, names).then(graph => {
+      expect(sort(names, linkGlobals(graph, globals, KnownGuards)))
+        .toEqual([ 'jquery', 'bootstrap', 'react', 'react-dom' ])
+    })
+  })
+})
+
+describe('linkGlobals', () => {
+  const graph = { 'jquery': [], 'jq-plugin': [], 'other-plugin': [] }
+
+  it('links the library shares a global to its owner', () => {
+    const globals = { 'jq-plugin': 'jQuery', 'jquery': 'jQuery', 'other-plugin': 'jQuery' }
+
+    expect(linkGlobals(graph, globals, {})).toEqual({
+      'jquery':       [],
+      'jq-plugin':    [ 'jquery' ],
+      'other-plugin': [ 'jquery' ]
+    })
+  })
+
+  it('links the guarded library by the global of its guard', () => {
+    const globals = { 'jq-plugin': 'jqPlugin', 'jquery': 'jQuery', 'other-plugin': null }
+
+    expect(linkGlobals(graph, globals, { 'jq-plugin': 'jQuery.fn.plugin' })).toEqual({
+      'jquery':       [],
+      'jq-plugin':    [ 'jquery' ],
+      'other-plugin': []
+    })
+  })
+
+  it('keeps the declared dependencies', () => {
+    const declared = { 'jquery': [], 'jq-plugin': [ 'jquery' ], 'other-plugin': [] }
+    const globals  = { 'jq-plugin': 'jQuery', 'jquery': 'jQuery' }
+
+    expect(linkGlobals(declared, globals, {})['jq-plugin']).toEqual([ 'jquery' ])
+    expect(graph['jq-plugin']).toEqual([])
+  })
+})
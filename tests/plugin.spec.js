@@ -0,0 +1,148 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import ResolveLibraryPlugin from '../lib/plugin'
+
+
+describe('ResolveLibraryPlugin make dlls', () => {
+  let base
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'library-plugin-'))
+  })
+
+  afterEach(() => fs.remove(base))
+
+  function writeDependencies (dependencies) {
+    return fs.outputJson(path.resolve(base, 'package.json'), { dependencies })
+  }
+
+  // Stub the webpack build, only write the bundle and manifest.
+  function createPlugin () {
+    const plugin = new ResolveLibraryPlugin({
+      base,
+      dlls:        { a: [ 'ms' ] },
+      dllFilename: '[name].js',
+      log:         false
+    })
+
+    plugin.build = jest.fn((dll, references, outputPath) => {
+      const file = `${dll.name}.js`
+      return Promise.all([
+        fs.outputFile(path.resolve(outputPath, file), `var ${dll.name} = {}`),
+        fs.outputJson(path.resolve(outputPath, `${dll.name}-manifest.json`), { name: `dll_${dll.name}`, content: {} })
+      ]).then(() => ({
+        file,
+        stats: {},
+        json:  { name: dll.name },
+        sizes: { packages: {}, total: { size: 0, gzip: 0 } }
+      }))
+    })
+
+    return plugin
+  }
+
+  it('resolves the relative base from cwd', () => {
+    const plugin = new ResolveLibraryPlugin({ base: '.', log: false })
+
+    expect(plugin.base).toBe(process.cwd())
+    expect(plugin.dllRoot).toBe(path.resolve('.dll-cache'))
+  })
+
+  it('builds each dll group', () => {
+    const plugin = createPlugin()
+
+    return writeDependencies({ ms: '^2.0.0', async: '^2.5.0' })
+      .then(() => plugin.make())
+      .then(() => {
+        expect(plugin.build).toHaveBeenCalledTimes(2)
+        expect(plugin.dlls.map(dll => dll.name)).toEqual([ 'a', 'vendor' ])
+        expect(fs.existsSync(path.resolve(plugin.dllDirectory, 'vendor.js'))).toBe(true)
+      })
+  })
+
+  it('drops the dll without rebuild', () => {
+    const plugin = createPlugin()
+
+    return writeDependencies({ ms: '^2.0.0', async: '^2.5.0' })
+      .then(() => plugin.make())
+      .then(() => writeDependencies({ ms: '^2.0.0' }))
+      .then(() => plugin.make())
+      .then(() => {
+        const { dllDirectory } = plugin
+
+        expect(plugin.build).toHaveBeenCalledTimes(2)
+        expect(plugin.dlls.map(dll => dll.name)).toEqual([ 'a' ])
+        expect(fs.readJsonSync(path.resolve(dllDirectory, 'dll-assets.json'))).toEqual({ a: 'a.js' })
+        expect(Object.keys(fs.readJsonSync(path.resolve(dllDirectory, 'dll.json')))).toEqual([ 'a' ])
+        expect(fs.existsSync(path.resolve(dllDirectory, 'vendor.js'))).toBe(false)
+        expect(fs.existsSync(path.resolve(dllDirectory, 'vendor-manifest.json'))).toBe(false)
+      })
+      .then(() => plugin.make())
+      .then(() => {
+        expect(plugin.build).toHaveBeenCalledTimes(2)
+      })
+  })
+})
+
+describe('ResolveLibraryPlugin resolve libraries', () => {
+  let base
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'library-resolve-'))
+  })
+
+  afterEach(() => fs.remove(base))
+
+  function createPlugin () {
+    return new ResolveLibraryPlugin({ base, offline: true, log: false })
+  }
+
+  function writeLibrary (name, pkg, files) {
+    const libraryPath = path.resolve(base, 'node_modules', name)
+    return Promise.all([
+      fs.outputJson(path.resolve(libraryPath, 'package.json'), Object.assign({ name, version: '1.0.0' }, pkg))
+    ].concat(Object.keys(files).map(file => fs.outputFile(path.resolve(libraryPath, file), files[file]))))
+  }
+
+  it('resolves nothing without dependencies', () => {
+    return fs.outputJson(path.resolve(base, 'package.json'), { name: 'app' })
+      .then(() => createPlugin().resolve())
+      .then(resolved => {
+        expect(resolved.externals).toEqual({})
+        expect(resolved.libraryTags).toEqual([])
+        expect(resolved.unResolved).toEqual([])
+      })
+  })
+
+  it('never caches the offline resolutions', () => {
+    const plugin = createPlugin()
+
+    return Promise.all([
+      fs.outputJson(path.resolve(base, 'package.json'), { dependencies: { 'lib-umd': '^1.0.0' } }),
+      writeLibrary('lib-umd', { unpkg: 'dist/lib-umd.min.js' }, { 'dist/lib-umd.min.js': 'window.LibUmd = {}' })
+    ]).then(() => plugin.resolve()).then(resolved => {
+      expect(resolved.externals).toEqual({ 'lib-umd': 'LibUmd' })
+      expect(fs.readJsonSync(plugin.cdnCachePath)).toEqual({})
+    })
+  })
+
+  it('splits the libraries to CDN and vendor bundle', () => {
+    const plugin = createPlugin()
+
+    return Promise.all([
+      fs.outputJson(path.resolve(base, 'package.json'), {
+        dependencies: { 'lib-umd': '^1.0.0', 'lib-cjs': '^1.0.0', 'lib-src': '^1.0.0' }
+      }),
+      writeLibrary('lib-umd', { unpkg: 'dist/lib-umd.min.js' }, { 'dist/lib-umd.min.js': 'window.LibUmd = {}' }),
+      writeLibrary('lib-cjs', { unpkg: 'index.js' }, { 'index.js': 'module.exports = {}' }),
+      writeLibrary('lib-src', { main: 'src/index.js' }, { 'src/index.js': 'module.exports = {}' })
+    ]).then(() => plugin.resolve()).then(resolved => {
+      expect(resolved.externals).toEqual({ 'lib-umd': 'LibUmd' })
+      expect(resolved.libraryTags).toEqual([ 'https://unpkg.com/lib-umd@1.0.0/dist/lib-umd.min.js' ])
+      expect(resolved.unResolved.sort()).toEqual([ 'lib-cjs', 'lib-src' ])
+      expect(plugin.reasons['lib-cjs']).toBe(`can't detect the global export name`)
+      expect(plugin.reasons['lib-src']).toBe(`can't find UMD file in node_modules/lib-src`)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+import validate from '../lib/validate'
+
+
+function messagesOf (options) {
+  try {
+    validate(options)
+  } catch(err) {
+    return err.message.split('\n').slice(1).map(line => line.trim())
+  }
+  return []
+}
+
+describe('validate', () => {
+  it('passes the empty and default options', () => {
+    expect(() => validate()).not.toThrow()
+    expect(() => validate({ cdn: 'jsdelivr', dllProfile: 'production', log: 'debug' })).not.toThrow()
+  })
+
+  it('suggests the similar property name', () => {
+    expect(messagesOf({ exlude: [] })).toEqual([
+      'options has unknown property "exlude", did you mean "exclude"?'
+    ])
+  })
+
+  it('reports the unknown property without suggestion', () => {
+    expect(messagesOf({ somethingElse: 1 })).toEqual([
+      'options has unknown property "somethingElse"'
+    ])
+  })
+
+  it('reports all the wrong types by description', () => {
+    expect(messagesOf({ cacheTTL: -1, offline: 'yes', dllProfile: 'prod' }).sort()).toEqual([
+      'options.cacheTTL should be >= 0',
+      'options.dllProfile should be one of "development", "production"',
+      'options.offline should be a boolean'
+    ])
+  })
+
+  it('reports the errors inside the matched anyOf branch', () => {
+    expect(messagesOf({ budget: { package: { gz: 1 } } })).toEqual([
+      'options.budget.package has unknown property "gz"'
+    ])
+  })
+
+  it('reports the conflicting options', () => {
+    expect(messagesOf({
+      include:     [ 'react' ],
+      exclude:     [ 'react' ],
+      dlls:        { a: [ 'jquery' ], b: [ 'jquery' ] },
+      dllFilename: 'vendor.js'
+    })).toEqual([
+      'options.include and options.exclude both have "react"',
+      'options.dlls.a and options.dlls.b both have "jquery"',
+      'options.dllFilename should contain "[name]" when build multiple dlls'
+    ])
+  })
+
+  it('reports the dll names not identifier', () => {
+    expect(messagesOf({ dllName: '3rd', dlls: { 'jq-core': [ 'jquery' ], react: [ 'react' ] } })).toEqual([
+      'options.dlls key "jq-core" should be an identifier, like "jq_core"',
+      'options.dllName "3rd" should be an identifier, like "_3rd"'
+    ])
+  })
+
+  it('reports the absolute dll directory', () => {
+    expect(messagesOf({ dllDirectoryName: '/tmp/dll' })).toEqual([
+      'options.dllDirectoryName should be a directory name relative to base'
+    ])
+  })
+
+  it('reports the unknown CDN provider', () => {
+    expect(messagesOf({ cdn: 'jsdeliver' })).toEqual([
+      'options.cdn has unknown provider "jsdeliver", did you mean "jsdelivr"?'
+    ])
+    expect(messagesOf({ cdn: { provider: 'nope', packages: { jquery: 'cdnjs' } } })).toEqual([
+      'options.cdn.provider has unknown provider "nope"'
+    ])
+    expect(messagesOf({ cdn: 'https://cdn.corp/{name}@{version}/{file}' })).toEqual([])
+  })
+})